@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Terminal client for a running Minimal Clipboard; see src/cli.js for the commands
+const { parseCliArgs, runCli } = require('../src/cli');
+
+const parsed = parseCliArgs(process.argv.slice(2)) || { command: 'help', args: [], options: {} };
+runCli(parsed).then(code => {
+  process.exitCode = code;
+});
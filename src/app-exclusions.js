@@ -0,0 +1,51 @@
+// Matching the foreground application (as reported by active-win) against the user's
+// capture exclusion list. Patterns are matched case-insensitively against the owner name,
+// macOS bundle id, executable path and executable file name; `*` and `?` are wildcards.
+
+const path = require('path');
+
+const regexCache = new Map();
+
+function patternToRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    const source = pattern
+      .split('')
+      .map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[\\^$.|+()[\]{}]/g, '\\$&'))
+      .join('');
+    regexCache.set(pattern, new RegExp(`^${source}$`, 'i'));
+  }
+  return regexCache.get(pattern);
+}
+
+// Names an app can be excluded by, e.g. ['KeePassXC', 'org.keepassxc.keepassxc', '/usr/bin/keepassxc', 'keepassxc']
+function getAppIdentifiers(info) {
+  const owner = info && info.owner;
+  if (!owner) return [];
+  const ids = [owner.name, owner.bundleId, owner.path];
+  if (owner.path) ids.push(path.basename(owner.path), path.basename(owner.path, path.extname(owner.path)));
+  return ids.filter(Boolean);
+}
+
+// The first pattern matching the app, or null
+function findExclusion(info, patterns) {
+  const ids = getAppIdentifiers(info);
+  if (ids.length === 0) return null;
+  return (patterns || []).find(pattern => {
+    const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+    return trimmed && ids.some(id => patternToRegex(trimmed).test(id));
+  }) || null;
+}
+
+// Pattern added by "exclude current app": the bundle id on macOS, otherwise the owner name
+function suggestPattern(info) {
+  const owner = info && info.owner;
+  if (!owner) return null;
+  return owner.bundleId || owner.name || (owner.path ? path.basename(owner.path) : null);
+}
+
+function describeApp(info) {
+  const owner = info && info.owner;
+  return owner ? (owner.name || owner.bundleId || owner.path || 'unknown app') : 'unknown app';
+}
+
+module.exports = { findExclusion, suggestPattern, describeApp };
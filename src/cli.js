@@ -0,0 +1,239 @@
+// Command-line interface: forwards commands to the running instance over the automation
+// API (rpc-server.js) and prints the results. Used by main.js when the app is started with a
+// command, and by bin/minimal-clipboard.js, which runs under plain Node.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { getSocketPath } = require('./rpc-server');
+
+const APP_NAME = 'minimal-clipboard';
+const USER_DATA_NAME = 'Minimal Clipboard'; // the app's data folder; main.js pins Electron to it
+const DEFAULT_LIMIT = 20;
+const MAX_INDEX = 500; // `get 3` means the third item; larger numbers are never list positions
+
+const USAGE = `Usage: ${APP_NAME} <command> [options]
+
+Commands:
+  list [--limit N] [--tag T] [--source APP]   Show recent items, pinned first
+  search <query> [--limit N]                  Show the best matches (tag:, type:, after:, before:, len>N, /regex/)
+  get <n|id>                                  Print an item's full content
+  copy <n|id>                                 Put an item on the clipboard
+  add -  |  add <text...>                     Add text from stdin or the arguments
+  delete <n|id>...                            Delete items
+  clear                                       Delete every unpinned item
+  show                                        Open the overlay
+
+Options:
+  --json    Print machine-readable JSON
+  --help    Show this help
+
+<n> is a position in \`list\` (1 is the first item).`;
+
+const COMMANDS = ['list', 'search', 'get', 'copy', 'add', 'delete', 'clear', 'show', 'help'];
+
+// Electron's userData directory for this app, for clients that don't run inside Electron
+function getDefaultUserDataDir() {
+  if (process.platform === 'win32') return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), USER_DATA_NAME);
+  if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support', USER_DATA_NAME);
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), USER_DATA_NAME);
+}
+
+// { command, positional, options } or null when the arguments don't start with a command
+function parseCliArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json' || arg === '--help') {
+      options[arg.slice(2)] = true;
+    } else if (/^--(limit|tag|source)$/.test(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else if (/^--(limit|tag|source)=/.test(arg)) {
+      const [key, ...value] = arg.slice(2).split('=');
+      options[key] = value.join('=');
+    } else if (arg === '-' || !arg.startsWith('-')) {
+      positional.push(arg);
+    }
+  }
+  if (!COMMANDS.includes(positional[0])) return null;
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+// Minimal JSON-RPC client: authenticate, then call(method, params) → Promise<result>
+function connect(userDataDir) {
+  return new Promise((resolve, reject) => {
+    let token;
+    try {
+      token = fs.readFileSync(path.join(userDataDir, 'rpc-token'), 'utf8').trim();
+    } catch (_) {
+      reject(new Error('Minimal Clipboard is not running (or its automation API is turned off in Settings)'));
+      return;
+    }
+
+    const socket = net.connect(getSocketPath(userDataDir));
+    const pending = new Map();
+    let nextId = 1;
+    let buffer = '';
+
+    // Reject every call still waiting for an answer (and the connection, if not yet made)
+    const fail = error => {
+      pending.forEach(entry => entry.rej(error));
+      pending.clear();
+      reject(error);
+    };
+
+    const call = (method, params = {}) => new Promise((res, rej) => {
+      const id = nextId++;
+      pending.set(id, { res, rej });
+      socket.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    });
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        let message;
+        try {
+          message = JSON.parse(buffer.slice(0, newline));
+        } catch (_) {
+          fail(new Error('Unexpected response from Minimal Clipboard'));
+          socket.destroy();
+          return;
+        }
+        buffer = buffer.slice(newline + 1);
+        const entry = pending.get(message.id);
+        if (!entry) continue;
+        pending.delete(message.id);
+        if (message.error) entry.rej(new Error(message.error.message));
+        else entry.res(message.result);
+      }
+    });
+    socket.on('error', err => {
+      const notRunning = err.code === 'ENOENT' || err.code === 'ECONNREFUSED';
+      fail(notRunning ? new Error('Minimal Clipboard is not running') : err);
+    });
+    socket.on('close', () => fail(new Error('Minimal Clipboard closed the connection')));
+    socket.on('connect', () => {
+      call('auth', { token })
+        .then(() => resolve({ call, close: () => socket.end() }))
+        .catch(reject);
+    });
+  });
+}
+
+function readStdin(stdin) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stdin.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stdin.on('error', reject);
+  });
+}
+
+function describeItem(item) {
+  if (item.type === 'image') return `[image ${item.width}x${item.height}]`;
+  if (item.type === 'file') return `[${item.paths.length === 1 ? 'file' : `${item.paths.length} files`}] ${item.paths.join(', ')}`;
+  if (item.masked) return `[secret, ${item.length} characters]`;
+  return item.preview.replace(/\s+/g, ' ').trim();
+}
+
+function formatList(items, columns) {
+  const width = Math.max(20, (columns || 80) - 8);
+  return items.map((item, i) => {
+    const text = describeItem(item);
+    const line = text.length > width ? text.slice(0, width - 1) + '…' : text;
+    return `${String(i + 1).padStart(3)} ${item.pinned ? '*' : ' '} ${line}`;
+  }).join('\n');
+}
+
+// Item id for `<n|id>`: small numbers are positions in the default list
+async function resolveItemId(client, ref) {
+  if (!ref) throw new UsageError('Missing item number or id');
+  if (!/^\d+$/.test(ref) || Number(ref) < 1 || Number(ref) > MAX_INDEX) return ref;
+  const { items } = await client.call('list', { limit: Number(ref) });
+  const item = items[Number(ref) - 1];
+  if (!item) throw new Error(`There is no item ${ref}`);
+  return item.id;
+}
+
+class UsageError extends Error {}
+
+const handlers = {
+  async list(client, { options }, out) {
+    const { items } = await client.call('list', { limit: Number(options.limit) || DEFAULT_LIMIT, tag: options.tag || '', sourceApp: options.source || '' });
+    return options.json ? items : formatList(items, out.columns);
+  },
+  async search(client, { args, options }, out) {
+    if (!args.length) throw new UsageError('Missing search query');
+    const { items } = await client.call('search', { query: args.join(' '), limit: Number(options.limit) || DEFAULT_LIMIT });
+    return options.json ? items : formatList(items, out.columns);
+  },
+  async get(client, { args, options }, out) {
+    const item = await client.call('get', { id: await resolveItemId(client, args[0]) });
+    if (options.json) return item;
+    if (item.type === 'text') return { raw: item.text };
+    if (item.type === 'file') return item.paths.join('\n');
+    if (out.isTTY) throw new Error('This is an image; redirect the output to a file or use --json');
+    return { raw: Buffer.from(item.png, 'base64') };
+  },
+  async copy(client, { args, options }) {
+    const result = await client.call('copy', { id: await resolveItemId(client, args[0]) });
+    if (!result.ok) throw new Error('Could not copy the item');
+    return options.json ? result : '';
+  },
+  async add(client, { args, options }, out, stdin) {
+    if (!args.length) throw new UsageError('Give the text to add, or - to read it from stdin');
+    const text = args.length === 1 && args[0] === '-' ? await readStdin(stdin) : args.join(' ');
+    const item = await client.call('add', { text });
+    return options.json ? item : '';
+  },
+  async delete(client, { args, options }) {
+    if (!args.length) throw new UsageError('Missing item number or id');
+    // Resolve every position before deleting so the numbering doesn't shift underneath us
+    const ids = [];
+    for (const ref of args) ids.push(await resolveItemId(client, ref));
+    const result = await client.call('delete', { ids });
+    return options.json ? result : `Deleted ${result.deleted} item(s)`;
+  },
+  async clear(client, { options }) {
+    const result = await client.call('clear');
+    return options.json ? result : '';
+  },
+  async show(client, { options }) {
+    const result = await client.call('show');
+    return options.json ? result : '';
+  }
+};
+
+// Run a parsed command; resolves to the process exit code
+async function runCli(parsed, { userDataDir, stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  if (parsed.command === 'help' || parsed.options.help) {
+    stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  let client = null;
+  try {
+    client = await connect(userDataDir || getDefaultUserDataDir());
+    const output = await handlers[parsed.command](client, parsed, stdout, stdin);
+    if (output && output.raw !== undefined) {
+      stdout.write(output.raw);
+    } else if (typeof output === 'string') {
+      if (output) stdout.write(output + '\n');
+    } else if (output !== undefined) {
+      stdout.write(JSON.stringify(output, null, 2) + '\n');
+    }
+    return 0;
+  } catch (e) {
+    stderr.write(`${APP_NAME}: ${e.message}\n`);
+    if (e instanceof UsageError) stderr.write(`Run "${APP_NAME} help" for usage.\n`);
+    return e instanceof UsageError ? 2 : 1;
+  } finally {
+    if (client) client.close();
+  }
+}
+
+module.exports = { parseCliArgs, runCli, getDefaultUserDataDir, USER_DATA_NAME };
@@ -0,0 +1,176 @@
+// Clipboard change notifications, so the clipboard is only read when it actually changed
+// Linux/X11 uses XFixes selection-owner events (via the pure-JS `x11` client) and Linux/Wayland
+// uses `wl-paste --watch`. Other platforms have no notification source reachable from
+// Electron, so startClipboardWatcher() rejects and the caller keeps polling.
+
+const { spawn } = require('child_process');
+
+const CHANGE_DEBOUNCE = 50; // ms; apps often set several formats in quick succession
+const WAYLAND_STARTUP_GRACE = 1000; // ms wl-paste must survive to count as working
+
+function debounce(fn, ms) {
+  let timer = null;
+  return () => {
+    clearTimeout(timer);
+    timer = setTimeout(fn, ms);
+  };
+}
+
+function isWaylandSession() {
+  return !!process.env.WAYLAND_DISPLAY || process.env.XDG_SESSION_TYPE === 'wayland';
+}
+
+// Resolves to { name, stop() } once XFixes reports CLIPBOARD owner changes. The server
+// rejects XFixes requests until the version is negotiated, and errors for requests without a
+// reply arrive asynchronously, so it only counts as ready after a round trip succeeds.
+function startX11Watcher(onChange, onFail) {
+  return new Promise((resolve, reject) => {
+    let x11;
+    try {
+      x11 = require('x11');
+    } catch (e) {
+      reject(e);
+      return;
+    }
+
+    let ready = false;
+    let stopped = false;
+    let X = null;
+    const fail = err => {
+      if (ready) {
+        console.warn('[watcher] X11 error:', err?.message || err);
+        return;
+      }
+      stopped = true;
+      if (X) {
+        try { X.terminate(); } catch (_) {}
+      }
+      reject(err);
+    };
+
+    const client = x11.createClient((err, display) => {
+      if (err) return fail(err);
+      X = display.client;
+      const root = display.screen[0].root;
+
+      X.require('fixes', (extErr, fixes) => {
+        if (extErr) return fail(extErr);
+        fixes.QueryVersion(5, 0, versionErr => {
+          if (versionErr) return fail(versionErr);
+          X.InternAtom(false, 'CLIPBOARD', (atomErr, clipboardAtom) => {
+            if (atomErr) return fail(atomErr);
+
+            const mask = fixes.SelectionEventMask;
+            fixes.SelectSelectionInput(root, clipboardAtom,
+              mask.SetSelectionOwner | mask.SelectionWindowDestroy | mask.SelectionClientClose);
+
+            // A rejected SelectSelectionInput has reported its error once the round trip returns
+            X.sync(syncErr => {
+              if (syncErr) return fail(syncErr);
+              if (stopped) return;
+
+              X.on('event', ev => {
+                if (ev.name === 'SelectionNotify' && ev.selection === clipboardAtom) onChange();
+              });
+              X.on('end', () => {
+                if (!stopped) onFail(new Error('X11 connection closed'));
+              });
+
+              ready = true;
+              resolve({
+                name: 'x11-xfixes',
+                stop() {
+                  stopped = true;
+                  try { X.terminate(); } catch (_) {}
+                }
+              });
+            });
+          });
+        });
+      });
+    });
+
+    client.on('error', fail);
+  });
+}
+
+// Resolves to { name, stop() } when `wl-paste --watch` runs (needs the wlr data-control protocol)
+function startWaylandWatcher(onChange, onFail) {
+  return new Promise((resolve, reject) => {
+    let ready = false;
+    let stopped = false;
+    let stderr = '';
+    let child;
+
+    try {
+      // wl-paste runs `echo` with the new content on stdin for every change: one line per change
+      child = spawn('wl-paste', ['--watch', 'echo'], { stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+
+    const markReady = () => {
+      if (ready) return;
+      ready = true;
+      clearTimeout(graceTimer);
+      resolve({
+        name: 'wayland-wl-paste',
+        stop() {
+          stopped = true;
+          try { child.kill(); } catch (_) {}
+        }
+      });
+    };
+    const graceTimer = setTimeout(markReady, WAYLAND_STARTUP_GRACE);
+
+    child.stdout.on('data', () => {
+      markReady();
+      onChange();
+    });
+    child.stderr.on('data', data => { stderr += data.toString(); });
+    child.on('error', err => {
+      clearTimeout(graceTimer);
+      if (!ready) reject(err);
+      else if (!stopped) onFail(err);
+    });
+    child.on('exit', code => {
+      clearTimeout(graceTimer);
+      const err = new Error(`wl-paste exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`);
+      if (!ready) reject(err);
+      else if (!stopped) onFail(err);
+    });
+  });
+}
+
+// Start the best available change-notification backend.
+// onChange is debounced; onFail is called once if a running backend dies later.
+async function startClipboardWatcher(onChange, onFail) {
+  if (process.platform !== 'linux') {
+    throw new Error(`No clipboard change notifications on ${process.platform}`);
+  }
+
+  const notify = debounce(onChange, CHANGE_DEBOUNCE);
+  let failed = false;
+  const fail = err => {
+    if (failed) return;
+    failed = true;
+    onFail(err);
+  };
+
+  const backends = isWaylandSession()
+    ? [startWaylandWatcher, startX11Watcher] // XWayland still mirrors the clipboard for X11 clients
+    : [startX11Watcher];
+
+  const errors = [];
+  for (const start of backends) {
+    try {
+      return await start(notify, fail);
+    } catch (e) {
+      errors.push(e?.message || String(e));
+    }
+  }
+  throw new Error(errors.join('; '));
+}
+
+module.exports = { startClipboardWatcher };
@@ -0,0 +1,179 @@
+// Classifies captured text so the overlay can label it and offer type-specific actions
+// (open a URL, reveal a path, format JSON, convert a color). Detection is a handful of
+// anchored patterns tried from most to least specific; only whole-item matches count, so
+// a paragraph that merely contains a URL stays plain text.
+
+const MAX_DETECT_LENGTH = 5 * 1024 * 1024; // JSON is parsed up to this size; other kinds are short
+const MAX_LINE_KIND_LENGTH = 2048; // URLs, paths, colors, ... are single lines up to this length
+
+const KINDS = {
+  url: 'URL',
+  email: 'Email',
+  path: 'Path',
+  color: 'Color',
+  json: 'JSON',
+  code: 'Code',
+  phone: 'Phone',
+  number: 'Number',
+  date: 'Date'
+};
+
+const URL_RE = /^(?:(?:https?|ftp):\/\/|www\.)[^\s<>"]+$/i;
+const EMAIL_RE = /^(?:mailto:)?[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[a-z]{2,}$/i;
+// At least one name after the first slash, not a // comment, spaces only when escaped
+const POSIX_PATH_RE = /^(?:~|\.{1,2})?\/(?!\/)(?:[^\0\s\\]|\\.)+$/;
+const REGEX_LITERAL_RE = /^\/[^/]+\/[dgimsuy]+$/; // /pattern/g looks like a two-level path
+const WINDOWS_PATH_RE = /^(?:[a-z]:\\|\\\\[^\\\s]+\\)[^\0\n<>"|?*]*$/i;
+// Short #rgb/#rgba forms need a letter, so issue numbers like #123 aren't colors
+const HEX_COLOR_RE = /^#(?:(?=[0-9]*[a-f])[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNC_COLOR_RE = /^(rgba?|hsla?)\(\s*([^)]*)\)$/i;
+const NUMBER_RE = /^[-+]?(?:\d{1,3}(?:[,_ ]\d{3})+|\d+)(?:\.\d+)?(?:e[-+]?\d+)?%?$/i;
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})?)?$/i;
+const SLASH_DATE_RE = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/;
+const PHONE_RE = /^\+?[\d\s().-]+$/;
+
+// Signals of source code; text that shows enough of them is labeled as code
+const CODE_SIGNALS = [
+  /[;{}]\s*$/m,
+  /^\s*(?:import|export|from|const|let|var|function|def|class|return|if|elif|else|for|while|switch|case|public|private|protected|static|package|using|#include|fn|func|async|await|try|catch|SELECT|INSERT|UPDATE|DELETE)\b/m,
+  /=>|::|->|\+\+|&&|\|\||===|!==|:=/,
+  /^(?: {2,}|\t)\S/m,
+  /\b\w+\([^()\n]*\)/
+];
+
+// Color channels as { r, g, b, a } (0-255, alpha 0-1), or null
+function parseColor(text) {
+  const value = String(text || '').trim();
+  if (HEX_COLOR_RE.test(value)) {
+    let hex = value.slice(1);
+    if (hex.length <= 4) hex = hex.split('').map(ch => ch + ch).join('');
+    const channel = i => parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    return { r: channel(0), g: channel(1), b: channel(2), a: hex.length === 8 ? Math.round(channel(3) / 255 * 100) / 100 : 1 };
+  }
+
+  const m = FUNC_COLOR_RE.exec(value);
+  if (!m) return null;
+  const parts = m[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+  const alpha = parts[3] === undefined ? 1 : parseAlpha(parts[3]);
+  if (alpha === null) return null;
+
+  if (m[1].toLowerCase().startsWith('rgb')) {
+    const channels = parts.slice(0, 3).map(p => (p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p)));
+    if (channels.some(c => !Number.isFinite(c) || c < 0 || c > 255)) return null;
+    const [r, g, b] = channels.map(Math.round);
+    return { r, g, b, a: alpha };
+  }
+
+  const h = parseFloat(parts[0]);
+  const s = parseFloat(parts[1]);
+  const l = parseFloat(parts[2]);
+  if (![h, s, l].every(Number.isFinite) || s < 0 || s > 100 || l < 0 || l > 100) return null;
+  return Object.assign(hslToRgb(((h % 360) + 360) % 360, s / 100, l / 100), { a: alpha });
+}
+
+function parseAlpha(part) {
+  const value = part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part);
+  return Number.isFinite(value) && value >= 0 && value <= 1 ? value : null;
+}
+
+function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+  return { r: Math.round((r + m) * 255), g: Math.round((g + m) * 255), b: Math.round((b + m) * 255) };
+}
+
+function rgbToHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l: Math.round(l * 100) };
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h = max === rn ? ((gn - bn) / d) % 6 : max === gn ? (bn - rn) / d + 2 : (rn - gn) / d + 4;
+  h = Math.round(h * 60);
+  return { h: h < 0 ? h + 360 : h, s: Math.round(s * 100), l: Math.round(l * 100) };
+}
+
+// The same color written as hex, rgb() and hsl(); null when the text isn't a color
+function colorFormats(text) {
+  const color = parseColor(text);
+  if (!color) return null;
+  const hex2 = n => n.toString(16).padStart(2, '0');
+  const opaque = color.a === 1;
+  const { h, s, l } = rgbToHsl(color);
+  return {
+    hex: `#${hex2(color.r)}${hex2(color.g)}${hex2(color.b)}${opaque ? '' : hex2(Math.round(color.a * 255))}`,
+    rgb: opaque ? `rgb(${color.r}, ${color.g}, ${color.b})` : `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`,
+    hsl: opaque ? `hsl(${h}, ${s}%, ${l}%)` : `hsla(${h}, ${s}%, ${l}%, ${color.a})`
+  };
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+function isDate(value) {
+  const iso = ISO_DATE_RE.exec(value);
+  if (iso) return isValidDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  const slashed = SLASH_DATE_RE.exec(value);
+  // Day and month order is ambiguous; either reading being valid is enough
+  return !!slashed && (isValidDate(Number(slashed[3]), Number(slashed[1]), Number(slashed[2])) || isValidDate(Number(slashed[3]), Number(slashed[2]), Number(slashed[1])));
+}
+
+function isPhone(value) {
+  if (!PHONE_RE.test(value)) return false;
+  const digits = value.replace(/\D/g, '').length;
+  // A bare digit run is a number; a phone number has a leading + or separators
+  return digits >= 7 && digits <= 15 && (value.startsWith('+') || /[\s().-]/.test(value));
+}
+
+function isJson(value) {
+  if (!/^[[{]/.test(value) || !/[\]}]$/.test(value)) return false;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed !== null && typeof parsed === 'object';
+  } catch (_) {
+    return false;
+  }
+}
+
+function isCode(value) {
+  const score = CODE_SIGNALS.filter(re => re.test(value)).length;
+  return score >= 3;
+}
+
+// Kind id of a captured text (see KINDS), or null for plain text
+function detectContentType(text) {
+  const value = String(text || '').trim();
+  if (!value || value.length > MAX_DETECT_LENGTH) return null;
+
+  if (value.length <= MAX_LINE_KIND_LENGTH && !value.includes('\n')) {
+    if (URL_RE.test(value)) return 'url';
+    if (EMAIL_RE.test(value)) return 'email';
+    if (HEX_COLOR_RE.test(value) || (FUNC_COLOR_RE.test(value) && parseColor(value))) return 'color';
+    if (ISO_DATE_RE.test(value) || SLASH_DATE_RE.test(value)) return isDate(value) ? 'date' : null;
+    if (NUMBER_RE.test(value)) return 'number';
+    if (isPhone(value)) return 'phone';
+    if (((POSIX_PATH_RE.test(value) && !REGEX_LITERAL_RE.test(value)) || WINDOWS_PATH_RE.test(value)) && !value.includes('://')) return 'path';
+  }
+  if (isJson(value)) return 'json';
+  if (isCode(value)) return 'code';
+  return null;
+}
+
+// Target for "open in browser": the URL with a scheme
+function normalizeUrl(text) {
+  const value = String(text || '').trim();
+  return /^www\./i.test(value) ? `https://${value}` : value;
+}
+
+function getKindLabel(kind) {
+  return KINDS[kind] || '';
+}
+
+module.exports = { detectContentType, colorFormats, normalizeUrl, getKindLabel };
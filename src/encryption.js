@@ -0,0 +1,89 @@
+// At-rest encryption helpers (AES-256-GCM)
+// Files are written as MAGIC | iv | auth tag | ciphertext so encrypted and plain files can be
+// told apart while data is being migrated; strings use the same layout, base64-encoded with a prefix.
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FILE_MAGIC = Buffer.from('MCE1');
+const STRING_PREFIX = 'mce1:';
+const CHECK_PLAINTEXT = 'minimal-clipboard';
+
+// scrypt parameters for passphrase-derived keys (~100ms on a typical laptop)
+const SCRYPT_OPTIONS = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+function generateSalt() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), Buffer.from(salt, 'base64'), KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+function isEncryptedBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= FILE_MAGIC.length + IV_LENGTH + TAG_LENGTH &&
+    buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+}
+
+function encryptBuffer(key, buffer) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([FILE_MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Throws when the key is wrong or the data was tampered with
+function decryptBuffer(key, buffer) {
+  let offset = FILE_MAGIC.length;
+  const iv = buffer.subarray(offset, offset += IV_LENGTH);
+  const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+}
+
+function isEncryptedString(value) {
+  return typeof value === 'string' && value.startsWith(STRING_PREFIX);
+}
+
+function encryptString(key, value) {
+  return STRING_PREFIX + encryptBuffer(key, Buffer.from(value, 'utf8')).toString('base64');
+}
+
+function decryptString(key, value) {
+  return decryptBuffer(key, Buffer.from(value.slice(STRING_PREFIX.length), 'base64')).toString('utf8');
+}
+
+// Encrypted known value stored alongside the config so a passphrase can be verified on unlock
+function createKeyCheck(key) {
+  return encryptString(key, CHECK_PLAINTEXT);
+}
+
+function verifyKey(key, check) {
+  try {
+    return decryptString(key, check) === CHECK_PLAINTEXT;
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = {
+  generateKey,
+  generateSalt,
+  deriveKey,
+  isEncryptedBuffer,
+  encryptBuffer,
+  decryptBuffer,
+  isEncryptedString,
+  encryptString,
+  decryptString,
+  createKeyCheck,
+  verifyKey
+};
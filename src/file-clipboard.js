@@ -0,0 +1,190 @@
+// Reading and writing copied files (file lists) in each platform's native clipboard format
+// Linux file managers use `x-special/gnome-copied-files` (GNOME/Nautilus & co.) or `text/uri-list` (KDE),
+// macOS uses an `NSFilenamesPboardType` plist, and Windows uses a `CF_HDROP` (DROPFILES) list.
+
+const path = require('path');
+const { clipboard, utilityProcess } = require('electron');
+const { spawn } = require('child_process');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+const GNOME_FORMAT = 'x-special/gnome-copied-files';
+const URI_LIST_FORMAT = 'text/uri-list';
+const MAC_FILENAMES_FORMAT = 'NSFilenamesPboardType';
+const MAC_FILE_URL_FORMAT = 'public.file-url';
+const WIN_FILENAME_FORMAT = 'FileNameW';
+const WIN_HDROP_FORMAT = 'CF_HDROP';
+const DROPFILES_HEADER_SIZE = 20; // pFiles, pt.x, pt.y, fNC, fWide
+const SELECTION_OWNER_TIMEOUT = 2000; // ms for the X11 helper to take the clipboard
+
+function uriListToPaths(lines) {
+  return lines
+    .map(line => line.trim())
+    .filter(line => line.startsWith('file://'))
+    .map(uri => {
+      try { return fileURLToPath(uri); } catch (_) { return null; }
+    })
+    .filter(Boolean);
+}
+
+function readLinuxFiles(formats) {
+  if (formats.includes(GNOME_FORMAT)) {
+    // First line is the operation ("copy" or "cut"), the rest are file URIs
+    const lines = clipboard.readBuffer(GNOME_FORMAT).toString('utf8').split(/\r?\n/);
+    const paths = uriListToPaths(lines.slice(1));
+    if (paths.length) return { paths, format: GNOME_FORMAT };
+  }
+  if (formats.includes(URI_LIST_FORMAT)) {
+    const lines = clipboard.readBuffer(URI_LIST_FORMAT).toString('utf8').split(/\r?\n/);
+    const paths = uriListToPaths(lines.filter(line => !line.startsWith('#')));
+    if (paths.length) return { paths, format: URI_LIST_FORMAT };
+  }
+  return null;
+}
+
+function readMacFiles(formats) {
+  if (formats.includes(MAC_FILENAMES_FORMAT)) {
+    const plist = clipboard.readBuffer(MAC_FILENAMES_FORMAT).toString('utf8');
+    const paths = Array.from(plist.matchAll(/<string>([\s\S]*?)<\/string>/g), m => unescapeXml(m[1]));
+    if (paths.length) return { paths, format: MAC_FILENAMES_FORMAT };
+  }
+  if (formats.includes(MAC_FILE_URL_FORMAT)) {
+    const paths = uriListToPaths([clipboard.read(MAC_FILE_URL_FORMAT)]);
+    if (paths.length) return { paths, format: MAC_FILENAMES_FORMAT };
+  }
+  return null;
+}
+
+// DROPFILES: a header whose pFiles is the offset of the list and fWide marks UTF-16, then
+// null-terminated paths ending with an empty one
+function parseDropFiles(buffer) {
+  if (!buffer || buffer.length < DROPFILES_HEADER_SIZE) return [];
+  const offset = buffer.readUInt32LE(0);
+  if (offset < DROPFILES_HEADER_SIZE || offset >= buffer.length) return [];
+  const encoding = buffer.readUInt32LE(16) ? 'utf16le' : 'latin1';
+  const list = buffer.subarray(offset).toString(encoding);
+  const end = list.indexOf('\0\0');
+  return (end === -1 ? list : list.slice(0, end)).split('\0').filter(Boolean);
+}
+
+// The whole CF_HDROP list; FileNameW (the first file only) when that can't be read
+function readWindowsFiles() {
+  const paths = parseDropFiles(clipboard.readBuffer(WIN_HDROP_FORMAT));
+  if (paths.length) return { paths, format: WIN_HDROP_FORMAT };
+
+  const buffer = clipboard.readBuffer(WIN_FILENAME_FORMAT);
+  if (!buffer || buffer.length === 0) return null;
+  const filePath = buffer.toString('utf16le').replace(/\0+$/, '');
+  return filePath ? { paths: [filePath], format: WIN_FILENAME_FORMAT } : null;
+}
+
+// Returns { paths, format } when the clipboard holds copied files, otherwise null
+function readClipboardFiles() {
+  try {
+    if (process.platform === 'win32') return readWindowsFiles();
+
+    const formats = clipboard.availableFormats();
+    if (process.platform === 'darwin') return readMacFiles(formats);
+    return readLinuxFiles(formats);
+  } catch (e) {
+    console.warn('[files] Failed to read copied files:', e?.message || e);
+    return null;
+  }
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(value) {
+  return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Set-Clipboard -LiteralPath puts a real CF_HDROP file list on the Windows clipboard
+function writeWindowsFiles(paths) {
+  return new Promise(resolve => {
+    const quoted = paths.map(p => `'${p.replace(/'/g, "''")}'`).join(',');
+    const command = `Set-Clipboard -LiteralPath @(${quoted})`;
+    try {
+      const ps = spawn('powershell', ['-NoProfile', '-EncodedCommand', Buffer.from(command, 'utf16le').toString('base64')], { windowsHide: true });
+      ps.on('error', err => {
+        console.error('[files] PowerShell Set-Clipboard error', err);
+        resolve(false);
+      });
+      ps.on('exit', code => resolve(code === 0));
+    } catch (e) {
+      console.error('[files] Failed to spawn PowerShell Set-Clipboard', e);
+      resolve(false);
+    }
+  });
+}
+
+// Offer every Linux file-list flavor at once from the X11 selection-owner helper (see
+// x11-selection-owner.js); resolves to false when there's no X server or it can't take the clipboard
+function writeX11Files(formats) {
+  if (!process.env.DISPLAY) return Promise.resolve(false);
+  return new Promise(resolve => {
+    let child;
+    try {
+      child = utilityProcess.fork(path.join(__dirname, 'x11-selection-owner.js'), [], {
+        serviceName: 'Clipboard Files',
+        stdio: 'inherit'
+      });
+    } catch (e) {
+      console.warn('[files] Failed to start the X11 selection owner:', e?.message || e);
+      resolve(false);
+      return;
+    }
+
+    let settled = false;
+    const done = ok => {
+      if (settled) return; // the helper exits later, once another app copies something
+      settled = true;
+      clearTimeout(timer);
+      if (!ok) child.kill();
+      resolve(ok);
+    };
+    const timer = setTimeout(() => {
+      console.warn('[files] X11 selection owner timed out');
+      done(false);
+    }, SELECTION_OWNER_TIMEOUT);
+
+    child.once('message', msg => {
+      if (msg && msg.error) console.warn('[files] X11 selection owner failed:', msg.error);
+      done(!!(msg && msg.ok));
+    });
+    child.once('exit', () => done(false));
+    child.postMessage({ formats });
+  });
+}
+
+// Put a file list back on the clipboard so pasting into a file manager copies the files.
+// `format` is the format the list was captured with; resolves to true on success.
+async function writeClipboardFiles(paths, format) {
+  if (!paths || paths.length === 0) return false;
+
+  if (process.platform === 'win32') {
+    return writeWindowsFiles(paths);
+  }
+
+  if (process.platform === 'darwin') {
+    const plist = '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">' +
+      `<plist version="1.0"><array>${paths.map(p => `<string>${escapeXml(p)}</string>`).join('')}</array></plist>`;
+    clipboard.writeBuffer(MAC_FILENAMES_FORMAT, Buffer.from(plist, 'utf8'));
+    return true;
+  }
+
+  const uris = paths.map(p => pathToFileURL(p).href);
+  const formats = {
+    [GNOME_FORMAT]: ['copy', ...uris].join('\n'),
+    [URI_LIST_FORMAT]: uris.join('\r\n') + '\r\n'
+  };
+  if (await writeX11Files(formats)) return true;
+
+  // Electron only writes one raw format, so keep the one the list was captured with
+  const single = format === URI_LIST_FORMAT ? URI_LIST_FORMAT : GNOME_FORMAT;
+  clipboard.writeBuffer(single, Buffer.from(formats[single], 'utf8'));
+  return true;
+}
+
+module.exports = { readClipboardFiles, writeClipboardFiles };
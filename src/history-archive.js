@@ -0,0 +1,51 @@
+// Portable history archive: a zip with a JSON manifest plus the original image files
+// The manifest is self-contained (full text bodies, rich-text flavors, file lists) so an
+// archive can be imported on another machine without any of the source userData directory.
+
+const AdmZip = require('adm-zip');
+
+const ARCHIVE_FORMAT = 'minimal-clipboard-history';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+
+// items: manifest entries; files: Map of archive path -> Buffer (e.g. images/<id>.png)
+function writeArchive(filePath, items, files = new Map()) {
+  const zip = new AdmZip();
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    items
+  };
+
+  zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+  files.forEach((buffer, name) => zip.addFile(name, buffer));
+  zip.writeZip(filePath);
+}
+
+// Returns { items, readFile(name) }; throws when the file isn't a history archive
+function readArchive(filePath) {
+  const zip = new AdmZip(filePath);
+  const manifestEntry = zip.getEntry(MANIFEST_NAME);
+  if (!manifestEntry) {
+    throw new Error('Not a clipboard history archive (manifest missing)');
+  }
+
+  const manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a clipboard history archive');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this app supports`);
+  }
+
+  return {
+    items: Array.isArray(manifest.items) ? manifest.items : [],
+    readFile(name) {
+      const entry = typeof name === 'string' ? zip.getEntry(name) : null;
+      return entry ? entry.getData() : null;
+    }
+  };
+}
+
+module.exports = { writeArchive, readArchive };
@@ -0,0 +1,343 @@
+// SQLite-backed persistence for clipboard history
+// Each item is stored as its own row so captures and deletions are incremental,
+// and a trigram full-text index keeps substring search fast on large histories.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS items (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    pinned INTEGER NOT NULL DEFAULT 0,
+    search_text TEXT NOT NULL DEFAULT '',
+    source_app TEXT NOT NULL DEFAULT '',
+    tags TEXT NOT NULL DEFAULT '',
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_items_order ON items(pinned, timestamp DESC);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+    search_text,
+    content='items',
+    content_rowid='rowid',
+    tokenize='trigram'
+  );
+
+  CREATE TABLE IF NOT EXISTS snippets (
+    id TEXT PRIMARY KEY,
+    updated_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TRIGGER IF NOT EXISTS items_ai AFTER INSERT ON items BEGIN
+    INSERT INTO items_fts(rowid, search_text) VALUES (new.rowid, new.search_text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS items_ad AFTER DELETE ON items BEGIN
+    INSERT INTO items_fts(items_fts, rowid, search_text) VALUES ('delete', old.rowid, old.search_text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS items_au AFTER UPDATE ON items BEGIN
+    INSERT INTO items_fts(items_fts, rowid, search_text) VALUES ('delete', old.rowid, old.search_text);
+    INSERT INTO items_fts(rowid, search_text) VALUES (new.rowid, new.search_text);
+  END;
+`;
+
+// Columns added after the first release, created on databases that predate them
+const MIGRATIONS = [
+  { column: 'source_app', sql: "ALTER TABLE items ADD COLUMN source_app TEXT NOT NULL DEFAULT ''" },
+  { column: 'tags', sql: "ALTER TABLE items ADD COLUMN tags TEXT NOT NULL DEFAULT ''" }
+];
+
+const LENGTH_OPERATORS = ['>', '<', '>=', '<=', '='];
+
+// Trigram tokens need at least 3 characters; shorter queries fall back to LIKE
+const MIN_FTS_QUERY_LENGTH = 3;
+
+// Rows read per query by each(), so walking a large history never loads it whole
+const EACH_PAGE_SIZE = 500;
+
+function encodeTags(tags) {
+  const list = (tags || []).map(t => String(t).toLowerCase()).filter(Boolean);
+  return list.length ? `|${list.join('|')}|` : '';
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, m => '\\' + m);
+}
+
+class HistoryStore {
+  // getSearchText(item) returns the plain text that should be indexed for an item,
+  // getSourceApp(item) the app name and getTags(item) the tag names it can be filtered by;
+  // encodeData/decodeData transform the serialized item (e.g. to encrypt it at rest)
+  constructor(dbPath, { getSearchText, getSourceApp, getTags, encodeData, decodeData } = {}) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.migrate();
+    this.getSearchText = getSearchText || (() => '');
+    this.getSourceApp = getSourceApp || (() => '');
+    this.getTags = getTags || (() => []);
+    this.encodeData = encodeData || (data => data);
+    this.decodeData = decodeData || (data => data);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO items (id, type, timestamp, pinned, search_text, source_app, tags, data)
+        VALUES (@id, @type, @timestamp, @pinned, @search_text, @source_app, @tags, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          type = excluded.type,
+          timestamp = excluded.timestamp,
+          pinned = excluded.pinned,
+          search_text = excluded.search_text,
+          source_app = excluded.source_app,
+          tags = excluded.tags,
+          data = excluded.data
+      `),
+      remove: this.db.prepare('DELETE FROM items WHERE id = ?'),
+      clear: this.db.prepare('DELETE FROM items WHERE pinned = 0'),
+      get: this.db.prepare('SELECT data FROM items WHERE id = ?'),
+      recent: this.db.prepare('SELECT data FROM items ORDER BY timestamp DESC, id DESC LIMIT ?'),
+      unpinnedBeyond: this.db.prepare('SELECT data FROM items WHERE pinned = 0 ORDER BY timestamp DESC LIMIT -1 OFFSET ?'),
+      sourceApps: this.db.prepare(`
+        SELECT source_app AS name, MAX(json_extract(data, '$.source.path')) AS path, COUNT(*) AS count
+        FROM items WHERE source_app != '' GROUP BY source_app
+      `),
+      tags: this.db.prepare("SELECT tags FROM items WHERE tags != ''"),
+      count: this.db.prepare('SELECT COUNT(*) AS total FROM items'),
+      upsertSnippet: this.db.prepare(`
+        INSERT INTO snippets (id, updated_at, data) VALUES (@id, @updated_at, @data)
+        ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+      `),
+      removeSnippet: this.db.prepare('DELETE FROM snippets WHERE id = ?'),
+      allSnippets: this.db.prepare('SELECT data FROM snippets ORDER BY updated_at DESC')
+    };
+
+    this.putMany = this.db.transaction(items => {
+      items.forEach(item => this.put(item));
+    });
+    this.removeMany = this.db.transaction(ids => {
+      ids.forEach(id => this.statements.remove.run(id));
+    });
+    this.putSnippets = this.db.transaction(snippets => {
+      snippets.forEach(snippet => this.putSnippet(snippet));
+    });
+  }
+
+  migrate() {
+    const columns = new Set(this.db.prepare('PRAGMA table_info(items)').all().map(c => c.name));
+    MIGRATIONS.forEach(m => {
+      if (!columns.has(m.column)) this.db.exec(m.sql);
+    });
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_items_source_app ON items(source_app)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_items_timestamp ON items(timestamp DESC, id DESC)');
+  }
+
+  toRow(item) {
+    return {
+      id: item.id,
+      type: item.type,
+      timestamp: item.timestamp || Date.now(),
+      pinned: item.pinned ? 1 : 0,
+      search_text: this.getSearchText(item) || '',
+      source_app: this.getSourceApp(item) || '',
+      // Stored as |tag1|tag2| (lowercase) so a single tag matches with LIKE '%|tag|%'
+      tags: encodeTags(this.getTags(item)),
+      data: this.encodeData(JSON.stringify(item))
+    };
+  }
+
+  fromRow(row) {
+    return JSON.parse(this.decodeData(row.data));
+  }
+
+  // Insert a new item or replace the stored copy of an existing one
+  put(item) {
+    if (!item || !item.id) return;
+    this.statements.upsert.run(this.toRow(item));
+  }
+
+  remove(id) {
+    this.statements.remove.run(id);
+  }
+
+  // Remove every unpinned row
+  clearUnpinned() {
+    this.statements.clear.run();
+  }
+
+  get(id) {
+    const row = this.statements.get.get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  // The newest `limit` items (pinned or not), newest first
+  recent(limit) {
+    return this.statements.recent.all(limit).map(row => this.fromRow(row));
+  }
+
+  // Unpinned items older than the newest `limit` unpinned ones, i.e. the ones a size limit drops
+  unpinnedBeyond(limit) {
+    return this.statements.unpinnedBeyond.all(limit).map(row => this.fromRow(row));
+  }
+
+  // Call fn(item) for every item, or every item of one type, newest first. Rows are read a
+  // page at a time, so fn may write to the store as long as it doesn't change timestamps.
+  each(fn, type = null) {
+    const typeFilter = type ? 'AND type = @type' : '';
+    const first = this.db.prepare(`SELECT id, timestamp, data FROM items WHERE 1 = 1 ${typeFilter} ORDER BY timestamp DESC, id DESC LIMIT @limit`);
+    const next = this.db.prepare(`
+      SELECT id, timestamp, data FROM items WHERE (timestamp, id) < (@timestamp, @id) ${typeFilter}
+      ORDER BY timestamp DESC, id DESC LIMIT @limit
+    `);
+
+    const params = type ? { type, limit: EACH_PAGE_SIZE } : { limit: EACH_PAGE_SIZE };
+
+    let rows = first.all(params);
+    while (rows.length) {
+      rows.forEach(row => fn(this.fromRow(row)));
+      if (rows.length < EACH_PAGE_SIZE) return;
+      const last = rows[rows.length - 1];
+      rows = next.all(Object.assign({ timestamp: last.timestamp, id: last.id }, params));
+    }
+  }
+
+  // Apps items were copied from with their item count and (one) executable path; only
+  // meaningful for plaintext rows, since encrypted ones don't record the app
+  sourceApps() {
+    return this.statements.sourceApps.all();
+  }
+
+  // The tag list of every tagged item (plaintext rows only, like sourceApps)
+  tagLists() {
+    return this.statements.tags.all().map(row => row.tags.split('|').filter(Boolean));
+  }
+
+  count() {
+    return this.statements.count.get().total;
+  }
+
+  // Snippet library: small, so it is loaded whole and searched in memory by the caller
+  putSnippet(snippet) {
+    if (!snippet || !snippet.id) return;
+    this.statements.upsertSnippet.run({
+      id: snippet.id,
+      updated_at: snippet.updatedAt || Date.now(),
+      data: this.encodeData(JSON.stringify(snippet))
+    });
+  }
+
+  removeSnippet(id) {
+    this.statements.removeSnippet.run(id);
+  }
+
+  allSnippets() {
+    return this.statements.allSnippets.all().map(row => this.fromRow(row));
+  }
+
+  // SQL condition (prefixed with AND) and parameters matching a search string and,
+  // optionally, substrings items must all contain (`phrases`), the app items were copied
+  // from, tags they must all carry, item types, a capture time range and text length
+  // conditions ([{ op, value }])
+  buildFilter({ search, phrases, sourceApp, tags, types, after, before, lengths } = {}) {
+    const q = String(search || '').trim();
+    const required = (q ? [q] : []).concat(phrases || []).filter(Boolean);
+    const where = [];
+    const params = {};
+
+    if (sourceApp) {
+      where.push('items.source_app = @sourceApp');
+      params.sourceApp = sourceApp;
+    }
+    (tags || []).forEach((tag, i) => {
+      where.push(`items.tags LIKE @tag${i} ESCAPE '\\'`);
+      params[`tag${i}`] = `%|${escapeLike(String(tag).toLowerCase())}|%`;
+    });
+    if (types && types.length) {
+      where.push(`items.type IN (${types.map((t, i) => `@type${i}`).join(', ')})`);
+      types.forEach((t, i) => { params[`type${i}`] = t; });
+    }
+    if (after != null) {
+      where.push('items.timestamp >= @after');
+      params.after = after;
+    }
+    if (before != null) {
+      where.push('items.timestamp < @before');
+      params.before = before;
+    }
+    (lengths || []).forEach(({ op, value }, i) => {
+      if (!LENGTH_OPERATORS.includes(op)) return;
+      where.push(`items.type = 'text' AND length(items.search_text) ${op} @length${i}`);
+      params[`length${i}`] = value;
+    });
+
+    const indexed = required.filter(phrase => phrase.length >= MIN_FTS_QUERY_LENGTH);
+    if (indexed.length) {
+      where.push('items.rowid IN (SELECT rowid FROM items_fts WHERE items_fts MATCH @match)');
+      params.match = indexed.map(phrase => `"${phrase.replace(/"/g, '""')}"`).join(' ');
+    }
+    // LIKE only folds ASCII case, so short non-ASCII phrases are left to the caller
+    required.filter(phrase => phrase.length < MIN_FTS_QUERY_LENGTH && /^[\x00-\x7f]+$/.test(phrase)).forEach((phrase, i) => {
+      where.push(`items.search_text LIKE @like${i} ESCAPE '\\'`);
+      params[`like${i}`] = `%${escapeLike(phrase)}%`;
+    });
+
+    return { filter: where.length ? `AND ${where.join(' AND ')}` : '', params };
+  }
+
+  // Ids of every item (pinned or not) matching a filter ({ search, sourceApp, tags })
+  searchIds(filterOptions) {
+    const { filter, params } = this.buildFilter(filterOptions);
+    return this.db.prepare(`SELECT id FROM items WHERE 1 = 1 ${filter}`).all(params).map(row => row.id);
+  }
+
+  // Rows to rank in memory for a fuzzy search: id, pinned, timestamp and the (capped) search text
+  searchCandidates(filterOptions, maxTextLength) {
+    const { filter, params } = this.buildFilter(filterOptions);
+    return this.db.prepare(`
+      SELECT id, pinned, timestamp, substr(search_text, 1, @maxTextLength) AS text
+      FROM items WHERE 1 = 1 ${filter} ORDER BY timestamp DESC
+    `).all(Object.assign({ maxTextLength }, params));
+  }
+
+  // Items by id, in the order given; unknown ids are skipped
+  getMany(ids) {
+    const rows = this.db.prepare('SELECT id, data FROM items WHERE id IN (SELECT value FROM json_each(?))').all(JSON.stringify(ids));
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return ids.filter(id => byId.has(id)).map(id => this.fromRow(byId.get(id)));
+  }
+
+  // Paged query used by the overlay. Pinned rows are returned separately (first page only)
+  // so they can be shown in their own section without affecting paging of the rest.
+  query({ search = '', sourceApp = '', tags = [], offset = 0, limit = 50 } = {}) {
+    const { filter, params } = this.buildFilter({ search, sourceApp, tags });
+    const select = pinned => `SELECT data FROM items WHERE pinned = ${pinned} ${filter} ORDER BY timestamp DESC`;
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS total FROM items WHERE pinned = 0 ${filter}`).get(params).total;
+    const items = this.db.prepare(`${select(0)} LIMIT @limit OFFSET @offset`)
+      .all(Object.assign({ limit, offset }, params))
+      .map(row => this.fromRow(row));
+    const pinned = offset === 0
+      ? this.db.prepare(select(1)).all(params).map(row => this.fromRow(row))
+      : [];
+
+    return { items, pinned, total };
+  }
+
+  // Rebuild the database file so deleted or rewritten rows leave no stale pages behind
+  vacuum() {
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+    this.db.exec('VACUUM');
+  }
+
+  close() {
+    try { this.db.close(); } catch (_) {}
+  }
+}
+
+module.exports = { HistoryStore };
@@ -1,13 +1,30 @@
-const { app, BrowserWindow, globalShortcut, clipboard, ipcMain, screen, nativeImage, Tray, Menu } = require('electron');
+const { app, BrowserWindow, globalShortcut, clipboard, ipcMain, screen, nativeImage, Tray, Menu, dialog, safeStorage, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const Store = require('electron-store');
 const robot = require('robotjs'); // added for simulating paste keystroke
 const activeWin = require('active-win'); // diagnostics & focus tracking
 const { spawn } = require('child_process');
+const { HistoryStore } = require('./history-store');
+const { readClipboardFiles, writeClipboardFiles } = require('./file-clipboard');
+const { writeArchive, readArchive } = require('./history-archive');
+const encryption = require('./encryption');
+const { detectSensitive, getBuiltinRules } = require('./sensitive-content');
+const { findExclusion, suggestPattern, describeApp } = require('./app-exclusions');
+const { startClipboardWatcher } = require('./clipboard-watcher');
+const { getTemplateInputs, expandTemplate } = require('./snippet-template');
+const { applyTransforms, listTransforms, MAX_CHAIN_LENGTH } = require('./text-transforms');
+const { PluginHost, isPluginTransform } = require('./plugin-host');
+const { RpcServer, RpcError, ERRORS: RPC_ERRORS, getSocketPath, loadOrCreateToken } = require('./rpc-server');
+const { parseCliArgs, runCli, USER_DATA_NAME } = require('./cli');
+const { OcrQueue } = require('./ocr');
+const { detectContentType, colorFormats, normalizeUrl, getKindLabel } = require('./content-types');
+const { parseQuery, hasTextQuery, hasFuzzyTerms, hasQualifiers, matchesQualifiers, matchText, rankEntries, MAX_SCAN_LENGTH } = require('./search-query');
 
 // Simple text compression using built-in zlib (no native dependencies)
 const zlib = require('zlib');
+const crypto = require('crypto');
 
 // Enable GPU acceleration for better UI performance
 // Only disable on known problematic configurations
@@ -24,6 +41,25 @@ if (shouldDisableGPU) {
   app.commandLine.appendSwitch('--enable-hardware-overlays');
 }
 
+// Pin the data folder: Electron names it after productName in packaged builds but after the
+// package name when run from source, and the CLI has to find the automation socket in it.
+// A folder created under the old name is moved over (or kept in use when it can't be moved).
+function pinUserDataPath() {
+  const previous = app.getPath('userData');
+  const pinned = path.join(app.getPath('appData'), USER_DATA_NAME);
+  if (previous !== pinned && !fs.existsSync(pinned) && fs.existsSync(previous)) {
+    try {
+      fs.renameSync(previous, pinned);
+      console.log(`[migration] Moved data folder ${previous} to ${pinned}`);
+    } catch (e) {
+      console.warn(`[migration] Could not move ${previous} to ${pinned}, still using it:`, e?.message || e);
+      return;
+    }
+  }
+  app.setPath('userData', pinned);
+}
+pinUserDataPath();
+
 // Initialize persistent storage
 const store = new Store();
 
@@ -31,21 +67,48 @@ const store = new Store();
 const args = process.argv.slice(1);
 const startMinimized = args.includes('--minimized') || args.includes('--hidden');
 
+// `minimal-clipboard list`, `get 2`, … forward to the running instance and exit (see cli.js)
+const cliCommand = parseCliArgs(app.isPackaged ? process.argv.slice(1) : process.argv.slice(2));
+if (cliCommand) {
+  runCli(cliCommand, { userDataDir: app.getPath('userData') }).then(code => app.exit(code));
+}
+
+// Only one instance owns the clipboard history; starting the app again opens its overlay
+const gotInstanceLock = !cliCommand && app.requestSingleInstanceLock();
+if (!cliCommand && !gotInstanceLock) {
+  console.log('[startup] Already running; asking the existing instance to show its overlay');
+  app.quit();
+}
+app.on('second-instance', () => {
+  openOverlay();
+});
+
 // Settings and defaults
 const DEFAULT_SETTINGS = {
   maxHistory: 20,
   thumbWidth: 320,
   singleClickAction: 'copy', // 'copy' | 'paste' | 'none'
   rememberPosition: true,
-  hotkey: null // null means use platform default
+  hotkey: null, // null means use platform default
+  // Secret detection: per built-in rule action overrides ('skip' | 'mask' | 'expire' | 'off'),
+  // user regex rules ({ name, pattern, action }) and the lifetime of 'expire' items
+  sensitive: { rules: {}, customRules: [], expireMinutes: 15 },
+  excludedApps: [], // owner names, bundle ids or executable paths (wildcards allowed) never captured from
+  disabledPlugins: [], // ids of plugins in userData/plugins that should not be loaded
+  automationApi: true, // local JSON-RPC socket for scripts and the CLI
+  ocr: true, // recognize text in images (offline) so they can be searched
+  previewOnHover: false, // open the overlay's preview pane when the mouse rests on an item
+  pasteStackHotkey: null, // null means use platform default; only held while the paste stack is in use
+  pasteStackOrder: 'fifo' // 'fifo' pastes queued items in the order they were added, 'lifo' newest first
 };
 
 // Memory optimization constants
-const MAX_TEXT_SIZE = 50000; // 50KB text limit to prevent memory bloat
+const TEXT_BLOB_THRESHOLD = 50000; // Text larger than 50KB is spilled to a compressed blob file
+const TEXT_PREVIEW_SIZE = 2000; // Characters of a spilled text kept in memory and sent to the renderer
 const COMPRESSION_THRESHOLD = 10000; // Compress text larger than 10KB
 const MEMORY_CLEANUP_THRESHOLD = 150; // MB - trigger cleanup when heap exceeds this
 const AGGRESSIVE_CLEANUP_THRESHOLD = 200; // MB - trigger aggressive cleanup
-const MAX_HISTORY_SIZE = 50; // Maximum history size for memory optimization
+const RECENT_HISTORY_SIZE = 50; // Newest items kept in memory; older ones are read from the database on demand
 
 // Memory monitoring utilities
 let memoryLogInterval = null;
@@ -106,7 +169,6 @@ function performMemoryCleanup(aggressive = false) {
   console.log(`[memory] Performing ${aggressive ? 'aggressive' : 'standard'} memory cleanup`);
   lastMemoryCleanup = now;
 
-  let cleanedCount = 0;
   const initialMemory = getMemoryUsage();
 
   // Force garbage collection first
@@ -117,58 +179,38 @@ function performMemoryCleanup(aggressive = false) {
     cleanupOrphanedImageFiles();
   }
 
-  // Trim history if it's getting too large
-  if (clipboardHistory.length > MAX_HISTORY_SIZE) {
-    const toRemove = clipboardHistory.length - MAX_HISTORY_SIZE;
-    const removedItems = clipboardHistory.splice(0, toRemove); // Remove oldest items
-
-    // Clean up files for removed items
-    removedItems.forEach(item => {
-      if (item.type === 'image') {
-        if (item.filePath) deleteFileQuiet(item.filePath);
-        if (item.thumbPath) deleteFileQuiet(item.thumbPath);
-      }
-    });
-
-    cleanedCount += toRemove;
-    console.log(`[memory] Removed ${toRemove} old items from history`);
-  }
-
-  // Clear caches and rebuild them
-  textCache.clear();
-  imageCache.clear();
-  rebuildCaches();
+  // Rebuild the duplicate-detection caches from the database
+  if (historyStore) rebuildCaches();
 
   // Log cleanup results
   const finalMemory = getMemoryUsage();
   const memorySaved = initialMemory.heapUsed - finalMemory.heapUsed;
 
-  console.log(`[memory] Cleanup completed: ${cleanedCount} items removed, ${memorySaved > 0 ? memorySaved : 0}MB memory freed`);
+  console.log(`[memory] Cleanup completed: ${memorySaved > 0 ? memorySaved : 0}MB memory freed`);
   console.log(`[memory] Memory after cleanup: ${finalMemory.heapUsed}MB heap, ${finalMemory.historySize} items`);
 }
 
 function cleanupOrphanedImageFiles() {
   try {
     const imageDir = path.join(app.getPath('userData'), 'images');
-    if (!fs.existsSync(imageDir)) return;
+    if (!historyStore || !fs.existsSync(imageDir)) return;
 
     const files = fs.readdirSync(imageDir);
     let cleanedFiles = 0;
 
+    // Every file name referenced by an image in history, pinned or not
+    const referenced = new Set();
+    forEachHistoryItem(item => {
+      referenced.add(item.id);
+      if (item.filePath) referenced.add(path.basename(item.filePath));
+      if (item.thumbPath) referenced.add(path.basename(item.thumbPath));
+    }, 'image');
+
     files.forEach(file => {
       const filePath = path.join(imageDir, file);
       const fileId = path.parse(file).name;
 
-      // Check if this file is referenced in current history
-      const isReferenced = clipboardHistory.some(item =>
-        item.type === 'image' && (
-          item.id === fileId ||
-          (item.filePath && path.basename(item.filePath) === file) ||
-          (item.thumbPath && path.basename(item.thumbPath) === file)
-        )
-      );
-
-      if (!isReferenced) {
+      if (!referenced.has(fileId) && !referenced.has(file)) {
         deleteFileQuiet(filePath);
         cleanedFiles++;
       }
@@ -211,21 +253,37 @@ if (settings.hotkey && !/^[\x00-\x7F]*$/.test(settings.hotkey)) {
 
 let mainWindow = null;
 let backdropWindow = null;
-let clipboardHistory = [];
-// Optimization: Cache for fast duplicate detection
-let textCache = new Set(); // For text content lookup
-let imageCache = new Set(); // For image signature lookup
+let clipboardHistory = []; // the newest items (see RECENT_HISTORY_SIZE), newest first
+let historyStore = null; // SQLite persistence, opened in loadHistory()
+let snippets = []; // snippet library, newest edit first; persisted in historyStore
+let encryptionKey = null; // set while at-rest encryption is enabled and unlocked
+let historyLocked = false; // passphrase-encrypted history waiting to be unlocked
+const HISTORY_PAGE_SIZE = 50;
+// Optimization: Cache for fast duplicate detection, mapping content keys to item ids
+let textCache = new Map(); // For text content lookup
+let imageCache = new Map(); // For image signature lookup
+let fileCache = new Map(); // For copied file list signature lookup
+const expiringItems = new Map(); // id -> expiresAt of unpinned items that delete themselves
 let imageStoreDir = null;
+let textBlobDir = null;
 function getMaxHistory() {
   const v = Number(settings.maxHistory);
   return Number.isFinite(v) && v > 0 ? Math.floor(v) : DEFAULT_SETTINGS.maxHistory;
 }
 let lastActiveWindow = null; // store window info before overlay shows
+let lastClipboardSourceApp = null; // foreground app at the most recent clipboard change
 let pasteSessionCompleted = false; // guard to prevent repeated pastes
+// Paste stack: item ids queued for pasting one after another with their own hotkey, in the
+// order they were added; `collecting` queues every new copy as well
+let pasteStack = { collecting: false, entries: [] };
 
 // Track pending paste retry timers so we can cancel if needed
 let pendingPasteTimers = [];
 let clipboardMonitorInterval = null;
+let clipboardWatcher = null; // change-notification backend; null while polling
+let clipboardMonitorGeneration = 0; // invalidates watcher start-ups that finish after a stop
+let expiryCheckInterval = null;
+const EXPIRY_CHECK_INTERVAL = 30000; // Sweep auto-expiring sensitive items every 30 seconds
 let imageProcessingTimeouts = new Set(); // Track image processing timeouts
 
 // LRU Cache for clipboard history management
@@ -283,18 +341,14 @@ class LRUCache {
     }
   }
 
+  // Only drops the dedupe entry: the item stays in stored history, so its files are kept
+  // until releaseItemResources runs on deletion or trim
   evictLRU() {
-    if (this.accessOrder.length === 0) return;
-
-    const lruKey = this.accessOrder.shift();
-    const entry = this.cache.get(lruKey);
-
-    // Clean up resources if it's an image
-    if (entry && entry.item.type === 'image') {
-      if (entry.item.filePath) deleteFileQuiet(entry.item.filePath);
-      if (entry.item.thumbPath) deleteFileQuiet(entry.item.thumbPath);
-    }
+    // Pinned items are never evicted; take the least recently used unpinned key
+    const index = this.accessOrder.findIndex(key => !this.cache.get(key).item.pinned);
+    if (index === -1) return;
 
+    const [lruKey] = this.accessOrder.splice(index, 1);
     this.cache.delete(lruKey);
     console.log(`[LRU] Evicted item: ${lruKey}`);
   }
@@ -303,6 +357,13 @@ class LRUCache {
     return this.cache.has(key);
   }
 
+  // Forget entries for items that were deleted from history (their files are released by the caller)
+  removeItems(ids) {
+    for (const [key, entry] of this.cache.entries()) {
+      if (ids.has(entry.item.id)) this.delete(key);
+    }
+  }
+
   delete(key) {
     if (this.cache.has(key)) {
       const index = this.accessOrder.indexOf(key);
@@ -315,15 +376,8 @@ class LRUCache {
     return false;
   }
 
+  // Files belong to history items, not to the cache (see evictLRU)
   clear() {
-    // Clean up all image resources
-    for (const [key, entry] of this.cache.entries()) {
-      if (entry.item.type === 'image') {
-        if (entry.item.filePath) deleteFileQuiet(entry.item.filePath);
-        if (entry.item.thumbPath) deleteFileQuiet(entry.item.thumbPath);
-      }
-    }
-
     this.cache.clear();
     this.accessOrder = [];
   }
@@ -373,10 +427,19 @@ function clearMemoryMonitoring() {
 }
 
 function clearClipboardMonitoring() {
+  clipboardMonitorGeneration++;
+  if (clipboardWatcher) {
+    clipboardWatcher.stop();
+    clipboardWatcher = null;
+  }
   if (clipboardMonitorInterval) {
     clearInterval(clipboardMonitorInterval);
     clipboardMonitorInterval = null;
   }
+  if (expiryCheckInterval) {
+    clearInterval(expiryCheckInterval);
+    expiryCheckInterval = null;
+  }
 }
 
 function simulatePasteKeystroke(attempt, totalAttempts) {
@@ -390,8 +453,9 @@ function simulatePasteKeystroke(attempt, totalAttempts) {
   }
 }
 
-// Attempt multiple delayed keystrokes to improve chance target app has refocused
-function schedulePasteRetries() {
+// Attempt multiple delayed keystrokes to improve chance target app has refocused.
+// options.cursorFromEnd moves the caret left afterwards (snippet {cursor} marker).
+function schedulePasteRetries(options = {}) {
   // Tuned delays (ms); first is short, others give time for window focus to return
   const delays = process.platform === 'win32'
     ? [140, 260, 420, 650] // Windows often slower to refocus
@@ -435,6 +499,12 @@ function schedulePasteRetries() {
     pendingPasteTimers.push(fallbackTimer);
   }
 
+  // Place the caret after the last attempt (and any platform fallback) has landed
+  if (options.cursorFromEnd > 0) {
+    const cursorTimer = setTimeout(() => moveCaretLeft(options.cursorFromEnd), delays[delays.length - 1] + 400);
+    pendingPasteTimers.push(cursorTimer);
+  }
+
   // Diagnostic: log active window after some key timepoints
   [120, 300, 600, 900].forEach(t => {
     const diagTimer = setTimeout(() => {
@@ -446,6 +516,31 @@ function schedulePasteRetries() {
   });
 }
 
+const MAX_CARET_STEPS = 500; // don't hold the keyboard hostage for huge snippets
+const CARET_STEPS_PER_TICK = 25; // taps between yields, so the main process stays responsive
+
+// Tap Left in small batches on later ticks; a new paste cancels the rest (clearPendingPasteTimers)
+function moveCaretLeft(steps) {
+  const count = Math.min(steps, MAX_CARET_STEPS);
+  let moved = 0;
+  const tapBatch = () => {
+    try {
+      const batch = Math.min(CARET_STEPS_PER_TICK, count - moved);
+      for (let i = 0; i < batch; i++) robot.keyTap('left');
+      moved += batch;
+    } catch (e) {
+      console.error('[paste] Failed to move caret', e?.message || e);
+      return;
+    }
+    if (moved < count) {
+      pendingPasteTimers.push(setTimeout(tapBatch, 0));
+    } else {
+      console.log(`[paste] Moved caret left ${count} characters`);
+    }
+  };
+  tapBatch();
+}
+
 // Platform-specific default hotkey
 const getDefaultHotkey = () => {
   const platform = process.platform;
@@ -458,6 +553,13 @@ function getEffectiveHotkey() {
   return settings.hotkey || getDefaultHotkey();
 }
 
+// Ctrl/Cmd+Shift like the paste keystroke, so modifiers still held when it fires give a plain-text paste
+const getDefaultPasteStackHotkey = () => (process.platform === 'darwin' ? 'Cmd+Shift+B' : 'Ctrl+Shift+B');
+
+function getPasteStackHotkey() {
+  return settings.pasteStackHotkey || getDefaultPasteStackHotkey();
+}
+
 // Helpers to manage overlay visibility
 function hideOverlayWindows() {
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -468,6 +570,14 @@ function hideOverlayWindows() {
   }
 }
 
+// Show the overlay for the app that currently has focus (hotkey, second launch, `show` command)
+function openOverlay() {
+  if (!mainWindow || mainWindow.isDestroyed() || mainWindow.isVisible()) return;
+  activeWin().then(info => { lastActiveWindow = info; }).catch(() => {});
+  sendHistoryToRenderer();
+  showOverlayWindows();
+}
+
 function showOverlayWindows() {
   if (backdropWindow && !backdropWindow.isDestroyed()) {
     backdropWindow.show();
@@ -485,6 +595,94 @@ function showOverlayWindows() {
   }
 }
 
+// Tray context menu; rebuilt when the paste stack changes so it shows what is left
+function buildTrayMenu() {
+  const remaining = pasteStack.entries.length;
+  return Menu.buildFromTemplate([
+    {
+      label: 'Show Clipboard Manager',
+      click: () => {
+        console.log('[tray] Show menu clicked');
+        if (mainWindow) {
+          sendHistoryToRenderer();
+          showOverlayWindows();
+        }
+      }
+    },
+    {
+      label: 'Exclude Current App…',
+      click: () => {
+        console.log('[tray] Exclude current app clicked');
+        excludeCurrentApp();
+      }
+    },
+    {
+      label: 'Export History…',
+      click: () => {
+        console.log('[tray] Export history clicked');
+        exportHistoryWithDialog();
+      }
+    },
+    {
+      label: 'Import History…',
+      click: () => {
+        console.log('[tray] Import history clicked');
+        importHistoryWithDialog();
+      }
+    },
+    {
+      label: 'Clear History',
+      click: () => {
+        console.log('[tray] Clear history clicked');
+        clearHistory();
+        sendHistoryToRenderer();
+        console.log('History cleared from tray menu');
+      }
+    },
+    { type: 'separator' },
+    {
+      label: remaining ? `Paste Stack: ${remaining} left` : 'Paste Stack: empty',
+      enabled: false
+    },
+    {
+      label: 'Collect Copies into Paste Stack',
+      type: 'checkbox',
+      checked: pasteStack.collecting,
+      click: menuItem => {
+        console.log('[tray] Paste stack collecting toggled:', menuItem.checked);
+        setPasteStackCollecting(menuItem.checked);
+      }
+    },
+    {
+      label: 'Clear Paste Stack',
+      enabled: remaining > 0,
+      click: () => {
+        console.log('[tray] Clear paste stack clicked');
+        clearPasteStack();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Quit',
+      click: () => {
+        console.log('[tray] Quit clicked');
+        app.quit();
+      }
+    }
+  ]);
+
+}
+
+// Reflect the paste stack in the tray: tooltip, menu and (macOS) the count next to the icon
+function updateTrayStatus() {
+  if (!tray || tray.isDestroyed()) return;
+  const remaining = pasteStack.entries.length;
+  const status = pasteStack.collecting || remaining ? ` — Paste stack: ${remaining} left` : '';
+  tray.setToolTip(`Minimal Clipboard Manager${status}`);
+  tray.setContextMenu(buildTrayMenu());
+  if (process.platform === 'darwin') tray.setTitle(remaining ? String(remaining) : '');
+}
+
 // Create the clipboard overlay window(s)
 function create_tray() {
   console.log('[tray] Creating system tray icon...');
@@ -588,43 +786,7 @@ function create_tray() {
   tray = new Tray(tray_icon);
   console.log('[tray] Tray created successfully');
 
-  const context_menu = Menu.buildFromTemplate([
-    {
-      label: 'Show Clipboard Manager',
-      click: () => {
-        console.log('[tray] Show menu clicked');
-        if (mainWindow) {
-          sendHistoryToRenderer();
-          showOverlayWindows();
-        }
-      }
-    },
-    {
-      label: 'Clear History',
-      click: () => {
-        console.log('[tray] Clear history clicked');
-        clipboardHistory = [];
-        textCache.clear();
-        imageCache.clear();
-        store.set('clipboardHistory', []);
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('history-updated', []);
-        }
-        console.log('History cleared from tray menu');
-      }
-    },
-    { type: 'separator' },
-    {
-      label: 'Quit',
-      click: () => {
-        console.log('[tray] Quit clicked');
-        app.quit();
-      }
-    }
-  ]);
-
-  tray.setToolTip('Minimal Clipboard Manager');
-  tray.setContextMenu(context_menu);
+  updateTrayStatus();
 
   // Double-click to show window
   tray.on('double-click', () => {
@@ -777,8 +939,33 @@ const MIN_CHECK_INTERVAL = 2000; // Minimum 2 seconds between checks
 const MAX_CHECK_INTERVAL = 10000; // Maximum 10 seconds when idle
 let currentCheckInterval = MIN_CHECK_INTERVAL;
 
+// Prefer change notifications so every copy is seen promptly and the clipboard is
+// never read while idle; poll only where no notification backend is available
 const monitorClipboard = () => {
-  // Clear existing interval if any
+  clearClipboardMonitoring();
+  const generation = clipboardMonitorGeneration;
+
+  startClipboardWatcher(checkClipboard, err => {
+    if (generation !== clipboardMonitorGeneration) return;
+    console.warn('[watcher] Change notifications stopped, falling back to polling:', err?.message || err);
+    clipboardWatcher = null;
+    startClipboardPolling();
+  }).then(watcher => {
+    if (generation !== clipboardMonitorGeneration) {
+      watcher.stop();
+      return;
+    }
+    clipboardWatcher = watcher;
+    console.log(`[watcher] Using ${watcher.name} clipboard change notifications`);
+    checkClipboard(); // pick up whatever was copied before the watcher started
+  }).catch(err => {
+    if (generation !== clipboardMonitorGeneration) return;
+    console.log('[watcher] No change notifications, polling instead:', err?.message || err);
+    startClipboardPolling();
+  });
+};
+
+function startClipboardPolling() {
   if (clipboardMonitorInterval) {
     clearInterval(clipboardMonitorInterval);
   }
@@ -799,53 +986,334 @@ const monitorClipboard = () => {
     }
 
     lastClipboardCheck = now;
+    checkClipboard();
+  }, 2000); // Check every 2 seconds (much more reasonable)
+}
 
-    try {
-      // Prefer image if available; otherwise fall back to non-empty text
-      const img = clipboard.readImage();
-      const hasImage = img && !img.isEmpty();
-
-      if (hasImage) {
-        const size = img.getSize();
-        const signature = `image:${size.width}x${size.height}`; // avoid heavy encoding in the polling loop
-        if (signature !== lastClipboardSignature) {
-          lastClipboardSignature = signature;
-          consecutiveEmptyChecks = 0; // Reset idle counter
-
-          // Defer heavy image processing to avoid blocking main thread
+// Read the clipboard once and record it if it differs from the last capture
+function checkClipboard() {
+  try {
+    // Copied files come first: file managers often put an icon image or path text next to them
+    const copiedFiles = readClipboardFiles();
+    if (copiedFiles) {
+      const signature = getFilesSignature(copiedFiles.paths);
+      if (signature !== lastClipboardSignature) {
+        lastClipboardSignature = signature;
+        consecutiveEmptyChecks = 0; // Reset idle counter
+        captureUnlessExcluded(source => {
+          addCapturedItem({ type: 'file', paths: copiedFiles.paths, fileFormat: copiedFiles.format, signature, source });
+        });
+      } else {
+        consecutiveEmptyChecks++;
+      }
+      return; // do not process image or text if files present
+    }
+
+    // Prefer image if available; otherwise fall back to non-empty text
+    const img = clipboard.readImage();
+    const hasImage = img && !img.isEmpty();
+
+    if (hasImage) {
+      const size = img.getSize();
+      const signature = getImageSignature(img, size); // hash raw pixels; no PNG encoding in the polling loop
+      if (signature !== lastClipboardSignature) {
+        lastClipboardSignature = signature;
+        consecutiveEmptyChecks = 0; // Reset idle counter
+
+        // Defer heavy image processing to avoid blocking main thread
+        captureUnlessExcluded(source => {
           setTimeout(() => {
-            processImageClipboard(img, size, signature);
+            processImageClipboard(img, size, signature, source);
           }, 10);
-        } else {
-          consecutiveEmptyChecks++;
-        }
-        return; // do not process text if image present
+        });
+      } else {
+        consecutiveEmptyChecks++;
       }
+      return; // do not process text if image present
+    }
 
-      let currentText = clipboard.readText();
-      if (currentText && currentText.trim() !== '') {
-        // Apply text size limit for memory optimization
-        currentText = truncateText(currentText);
-        const signature = `text:${currentText}`;
-        if (signature !== lastClipboardSignature) {
-          lastClipboardSignature = signature;
-          consecutiveEmptyChecks = 0; // Reset idle counter
-          addToHistory({ type: 'text', text: currentText });
-        } else {
-          consecutiveEmptyChecks++;
+    const currentText = clipboard.readText();
+    if (currentText && currentText.trim() !== '') {
+      const signature = `text:${currentText}`;
+      if (signature !== lastClipboardSignature) {
+        lastClipboardSignature = signature;
+        consecutiveEmptyChecks = 0; // Reset idle counter
+
+        const sensitive = detectSensitive(currentText, getSensitiveConfig());
+        if (sensitive && sensitive.action === 'skip') {
+          console.log('[sensitive] Not recording clipboard text:', sensitive.rules.map(r => r.name).join(', '));
+          return;
         }
+
+        // Keep formatted flavors alongside the plain text when the source app provided them
+        const html = readRichFormat('html');
+        const rtf = readRichFormat('rtf');
+        captureUnlessExcluded(source => {
+          addCapturedItem({ type: 'text', text: currentText, html, rtf, sensitive, source });
+        });
       } else {
         consecutiveEmptyChecks++;
       }
-    } catch (e) {
-      console.warn('[clipboard] Monitor error:', e?.message || e);
+    } else {
       consecutiveEmptyChecks++;
     }
-  }, 2000); // Check every 2 seconds (much more reasonable)
-};
+  } catch (e) {
+    console.warn('[clipboard] Monitor error:', e?.message || e);
+    consecutiveEmptyChecks++;
+  }
+}
+
+// Foreground app as reported by active-win; null when it can't be determined
+function getForegroundApp() {
+  return activeWin().catch(e => {
+    console.warn('[exclude] Failed to get active window:', e?.message || e);
+    return null;
+  });
+}
+
+function getExcludedApps() {
+  return Array.isArray(settings.excludedApps) ? settings.excludedApps.filter(p => typeof p === 'string' && p.trim()) : [];
+}
+
+// OCR: text recognized in image items, stored with the item as `ocrText` ('' when none was
+// found) and indexed for search unless it looks like a secret
+const ocrQueue = new OcrQueue({
+  load: id => {
+    const item = findHistoryItem(id, 'image');
+    return item && item.filePath ? readStoredFile(item.filePath) : null;
+  },
+  onResult: setRecognizedText
+});
+
+function queueOcr(ids) {
+  if (settings.ocr === false || !ids.length) return;
+  ocrQueue.add(ids);
+}
+
+// Images captured before OCR was available (or while it was off), newest first
+function queueMissingOcr() {
+  if (!historyStore) return; // locked; queued once history is unlocked (startHistory)
+  const ids = [];
+  forEachHistoryItem(i => { if (i.ocrText === undefined) ids.push(i.id); }, 'image');
+  queueOcr(ids);
+}
+
+function setRecognizedText(id, text) {
+  const item = findHistoryItem(id, 'image');
+  if (!item) return;
+  item.ocrText = text;
+  delete item.ocrSensitive;
+  if (text && detectSensitive(text, getSensitiveConfig())) item.ocrSensitive = true;
+  historyStore.put(item);
+  if (text) sendHistoryToRenderer();
+}
+
+function getRecognizedText(item) {
+  return item.ocrText && !item.ocrSensitive ? item.ocrText : '';
+}
+
+// Plugins: JavaScript modules in userData/plugins, run out of process by the plugin host
+const pluginHost = new PluginHost();
+
+function getPluginsDir() {
+  return path.join(app.getPath('userData'), 'plugins');
+}
+
+function getDisabledPlugins() {
+  return Array.isArray(settings.disabledPlugins) ? settings.disabledPlugins.filter(id => typeof id === 'string') : [];
+}
+
+async function startPlugins() {
+  fs.mkdirSync(getPluginsDir(), { recursive: true });
+  return pluginHost.start(getPluginsDir(), getDisabledPlugins());
+}
+
+// What a plugin sees of a capture; only text, tags (and dropping) can be changed
+function toPluginCapture(item) {
+  const capture = { type: item.type, source: item.source || null, tags: item.tags || [] };
+  if (item.type === 'text') capture.text = item.text;
+  if (item.type === 'image') Object.assign(capture, { width: item.width, height: item.height });
+  if (item.type === 'file') capture.paths = item.paths;
+  return capture;
+}
+
+// Record a new capture after the plugins' capture hooks have seen it. A failing or slow
+// plugin lets the item through unchanged (see PluginHost.runCapture).
+function addCapturedItem(item) {
+  if (!pluginHost.hasCaptureHooks()) {
+    storeCapture(item);
+    return;
+  }
+
+  pluginHost.runCapture(toPluginCapture(item))
+    .then(({ item: result }) => applyCaptureResult(item, result))
+    .catch(e => {
+      console.warn('[plugins] Could not apply capture hooks; recording the item unchanged:', e?.message || e);
+      return item;
+    })
+    .then(next => {
+      if (next) storeCapture(next);
+    })
+    .catch(e => console.error('[history] Failed to record capture:', e?.message || e));
+}
+
+// The capture to record after the hooks returned `result`; null when it was dropped
+function applyCaptureResult(item, result) {
+  if (!result) {
+    // Only the files written for this capture: its signature's cache entry may belong to a duplicate
+    if (item.type === 'image') [item.filePath, item.thumbPath].filter(Boolean).forEach(deleteFileQuiet);
+    return null;
+  }
+  const next = Object.assign({}, item);
+  if (Array.isArray(result.tags)) next.tags = result.tags;
+  if (item.type === 'text' && result.text !== item.text) {
+    if (typeof result.text !== 'string' || result.text === '') {
+      console.warn('[plugins] Ignoring capture hook text that is not a non-empty string');
+      return next;
+    }
+    // Rewritten text: formatted flavors no longer match, and it must pass secret detection again
+    next.text = result.text;
+    delete next.html;
+    delete next.rtf;
+    next.sensitive = detectSensitive(next.text, getSensitiveConfig());
+    if (next.sensitive && next.sensitive.action === 'skip') {
+      console.log('[sensitive] Not recording plugin-rewritten text:', next.sensitive.rules.map(r => r.name).join(', '));
+      return null;
+    }
+  }
+  return next;
+}
+
+// Record a capture, queueing it on the paste stack while that collects copies
+function storeCapture(item) {
+  addToHistory(item);
+  if (!pasteStack.collecting) return;
+  const stored = findCapturedItem(item);
+  if (stored) addToPasteStack([stored.id]);
+}
+
+// History item holding a capture; a recent duplicate keeps its existing item
+function findCapturedItem(item) {
+  const cache = { text: textCache, image: imageCache, file: fileCache }[item.type];
+  const id = cache && cache.get(item.type === 'text' ? getTextKey(item.text) : item.signature);
+  return id ? findHistoryItem(id, item.type) : null;
+}
+
+// Full content of an item for a plugin action
+function toPluginItem(item) {
+  const out = { type: item.type, id: item.id, source: item.source || null, tags: item.tags || [], timestamp: item.timestamp };
+  if (item.type === 'text') out.text = getItemFullText(item);
+  if (item.type === 'image') Object.assign(out, { width: item.width, height: item.height, filePath: item.filePath });
+  if (item.type === 'file') out.paths = item.files.map(f => f.path);
+  return out;
+}
+
+// Run a plugin's item action and apply what it asked for (copy, paste, open a link, show a message)
+async function runPluginAction(actionId, itemId) {
+  const item = findHistoryItem(itemId);
+  if (!item) return { ok: false, error: 'Item not found' };
+  if (item.type === 'image' && encryptionKey) return { ok: false, error: 'Plugins cannot read encrypted images' };
+
+  let result;
+  try {
+    result = await pluginHost.runAction(actionId, toPluginItem(item));
+  } catch (e) {
+    console.warn('[plugins] Action failed:', e?.message || e);
+    return { ok: false, error: e?.message || String(e) };
+  }
+
+  const text = result.paste !== undefined ? result.paste : result.copy;
+  if (text !== undefined) {
+    clipboard.writeText(text);
+    lastClipboardSignature = `text:${text}`;
+  }
+  if (result.open) {
+    if (/^(https?|mailto):/i.test(result.open)) shell.openExternal(result.open);
+    else console.warn('[plugins] Refusing to open non-web link:', result.open);
+  }
+  if (result.paste !== undefined) {
+    pasteSessionCompleted = false;
+    hideOverlayWindows();
+    clearPendingPasteTimers();
+    schedulePasteRetries();
+  }
+  return { ok: true, message: result.message || null };
+}
+
+// Run `capture(source)` unless the app that owns the new clipboard content is on the
+// exclusion list; `source` is the metadata recorded with the item (null when unknown)
+function captureUnlessExcluded(capture) {
+  getForegroundApp().then(info => {
+    lastClipboardSourceApp = info;
+    const pattern = findExclusion(info, getExcludedApps());
+    if (pattern) {
+      console.log(`[exclude] Not recording clipboard change from ${describeApp(info)} (matches "${pattern}")`);
+      return;
+    }
+    capture(getSourceMetadata(info));
+  }).catch(e => {
+    console.error('[exclude] Failed to record clipboard change:', e?.message || e);
+  });
+}
+
+// App, window title and (for browsers, where active-win reports it) page URL of a capture
+function getSourceMetadata(info) {
+  const owner = info && info.owner;
+  if (!owner || owner.processId === process.pid) return null;
+  const source = { app: owner.name || owner.bundleId || (owner.path ? path.basename(owner.path) : 'Unknown') };
+  if (info.title) source.title = info.title;
+  if (info.url) source.url = info.url;
+  if (owner.path) source.path = owner.path;
+  if (owner.bundleId) source.bundleId = owner.bundleId;
+  return source;
+}
+
+// Tray shortcut: add the frontmost app to the exclusion list after confirming.
+// Clicking the tray can focus the taskbar or this app itself, so fall back to the
+// app that produced the last clipboard change.
+async function excludeCurrentApp() {
+  let info = await getForegroundApp();
+  const owner = info && info.owner;
+  const isShell = owner && (owner.processId === process.pid || /^(explorer(\.exe)?|Windows Explorer|gnome-shell|plasmashell)$/i.test(owner.name || ''));
+  if (!owner || isShell) info = lastClipboardSourceApp;
+
+  const pattern = suggestPattern(info);
+  if (!pattern) {
+    dialog.showMessageBox({ type: 'info', message: 'Could not determine the current application.' });
+    return;
+  }
+  if (getExcludedApps().some(p => p.toLowerCase() === pattern.toLowerCase())) {
+    dialog.showMessageBox({ type: 'info', message: `${describeApp(info)} is already excluded.` });
+    return;
+  }
+
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Exclude', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `Stop recording clipboard changes from ${describeApp(info)}?`,
+    detail: `"${pattern}" will be added to the excluded applications in Settings.`
+  });
+  if (response !== 0) return;
+
+  settings = Object.assign({}, settings, { excludedApps: getExcludedApps().concat(pattern) });
+  store.set('settings', settings);
+  console.log(`[exclude] Added "${pattern}" to excluded apps`);
+}
+
+// Read an optional rich-text flavor from the clipboard; null when absent
+function readRichFormat(format) {
+  try {
+    const value = format === 'html' ? clipboard.readHTML() : clipboard.readRTF();
+    return value && value.trim() !== '' ? value : null;
+  } catch (_) {
+    return null;
+  }
+}
 
 // Separate function for heavy image processing to avoid blocking main thread
-function processImageClipboard(img, size, signature) {
+function processImageClipboard(img, size, signature, source) {
   // Use process.nextTick and setImmediate for better async processing
   const processImage = () => {
     try {
@@ -855,21 +1323,19 @@ function processImageClipboard(img, size, signature) {
           const { id, filePath } = saveImagePng(pngBuffer);
 
           // Build a lightweight thumbnail for UI using WebP for better compression
-          const maxThumbWidth = getThumbWidth();
-          const thumb = img.resize({ width: Math.min(maxThumbWidth, size.width) });
-          const thumbBuffer = thumb.toPNG();
-          const thumbPath = saveThumbnailWebP(thumbBuffer, 80); // 80% quality for good balance
+          const thumbPath = saveImageThumbnail(img, size);
 
       // Use setImmediate to defer history addition to next tick
       setImmediate(() => {
-        addToHistory({
+        addCapturedItem({
           type: 'image',
           id,
           filePath,
           width: size.width,
           height: size.height,
           thumbPath,
-          signature
+          signature,
+          source
         });
       });
     } catch (e) {
@@ -890,8 +1356,8 @@ function processImageClipboard(img, size, signature) {
 const addToHistory = (item) => {
   if (!item) return;
 
-  // Create unique key for LRU cache
-  const cacheKey = item.type === 'text' ? `text_${item.text.substring(0, 100)}` : `image_${item.signature}`;
+  // Create unique key for LRU cache (texts by a hash of the whole body, so a shared prefix isn't a duplicate)
+  const cacheKey = item.type === 'text' ? `text_${hashText(item.text)}` : `${item.type}_${item.signature}`;
 
   // Check if item already exists in LRU cache
   const existingItem = clipboardCache.get(cacheKey);
@@ -901,23 +1367,31 @@ const addToHistory = (item) => {
   }
 
   if (item.type === 'text') {
-    // Process text with compression and truncation
-    const processedText = processText(item.text);
-    console.log('Adding to history (text):', (typeof processedText === 'string' ? processedText : processedText.data).substring(0, 50) + '...');
+    // Process text with compression, spilling large bodies to a blob file
+    const processed = processText(item.text);
+    console.log('Adding to history (text):', item.text.substring(0, 50) + '...');
 
     // Optimized duplicate removal using cache
-    removeDuplicateText(item.text);
-    const newItem = { type: 'text', text: processedText, timestamp: Date.now() };
+    const duplicate = removeDuplicateText(item.text);
+    const newItem = Object.assign({ type: 'text', id: generateItemId() }, processed, { timestamp: Date.now() });
+    if (item.html) newItem.html = compressText(item.html);
+    if (item.rtf) newItem.rtf = compressText(item.rtf);
+    if (item.sensitive) markSensitive(newItem, item.sensitive);
+    if (!isMasked(newItem)) setContentType(newItem, item.text);
+    if (item.source) newItem.source = item.source;
+    if (item.tags) setNewItemTags(newItem, item.tags);
+    if (duplicate) inheritFromDuplicate(newItem, duplicate);
     clipboardHistory.unshift(newItem);
+    historyStore.put(newItem);
 
     // Add to LRU cache and text cache
     clipboardCache.set(cacheKey, newItem);
-    textCache.add(item.text);
+    textCache.set(getTextKey(item.text), newItem.id);
   } else if (item.type === 'image') {
     const sizeLabel = `${item.width}x${item.height}`;
     console.log('Adding to history (image):', sizeLabel);
-    // Optimized duplicate removal using cache
-    removeDuplicateImage(item);
+    // Optimized duplicate removal using cache; a recaptured image keeps its recognized text
+    const duplicate = removeDuplicateImage(item);
     const newItem = {
       type: 'image',
       id: item.id,
@@ -928,33 +1402,45 @@ const addToHistory = (item) => {
       signature: item.signature,
       timestamp: Date.now()
     };
+    if (item.source) newItem.source = item.source;
+    if (item.tags) setNewItemTags(newItem, item.tags);
+    if (duplicate) inheritFromDuplicate(newItem, duplicate);
+    if (duplicate && typeof duplicate.ocrText === 'string') newItem.ocrText = duplicate.ocrText;
+    if (duplicate && duplicate.ocrSensitive) newItem.ocrSensitive = true;
     clipboardHistory.unshift(newItem);
+    historyStore.put(newItem);
 
     // Add to LRU cache and image cache
     clipboardCache.set(cacheKey, newItem);
-    if (item.signature) imageCache.add(item.signature);
+    if (item.signature) imageCache.set(item.signature, newItem.id);
+    if (newItem.ocrText === undefined) queueOcr([newItem.id]);
+  } else if (item.type === 'file') {
+    console.log('Adding to history (files):', item.paths.length);
+    const duplicate = removeDuplicateFiles(item.signature);
+    const newItem = {
+      type: 'file',
+      id: generateItemId(),
+      files: item.paths.map(describeFile),
+      fileFormat: item.fileFormat,
+      signature: item.signature,
+      timestamp: Date.now()
+    };
+    if (item.source) newItem.source = item.source;
+    if (item.tags) setNewItemTags(newItem, item.tags);
+    if (duplicate) inheritFromDuplicate(newItem, duplicate);
+    clipboardHistory.unshift(newItem);
+    historyStore.put(newItem);
+
+    // Add to LRU cache and file cache
+    clipboardCache.set(cacheKey, newItem);
+    fileCache.set(item.signature, newItem.id);
   } else {
     return;
   }
 
-  // Limit history size
-  if (clipboardHistory.length > getMaxHistory()) {
-    const toRemove = clipboardHistory.slice(getMaxHistory());
-    // Clean up image files and cache entries for removed items
-    toRemove.forEach(i => { 
-      if (i.type === 'image') {
-        if (i.filePath) deleteFileQuiet(i.filePath);
-        if (i.thumbPath) deleteFileQuiet(i.thumbPath);
-        if (i.signature) imageCache.delete(i.signature);
-      } else if (i.type === 'text') {
-        textCache.delete(i.text);
-      }
-    });
-    clipboardHistory = clipboardHistory.slice(0, getMaxHistory());
-  }
-
-  // Save to persistent storage
-  store.set('clipboardHistory', clipboardHistory);
+  // Limit history size (pinned items don't count towards the limit) and what is kept in memory
+  trimHistory(getMaxHistory());
+  if (clipboardHistory.length > RECENT_HISTORY_SIZE) clipboardHistory.length = RECENT_HISTORY_SIZE;
 
   // Log memory usage after adding item
   const memory = getMemoryUsage();
@@ -966,45 +1452,183 @@ const addToHistory = (item) => {
   if (mainWindow && !mainWindow.isDestroyed()) {
     sendHistoryToRenderer();
   }
+  if (rpcServer && clipboardHistory[0]) rpcServer.broadcast('capture', toRpcItem(clipboardHistory[0]));
 };
 
-// Load saved clipboard history
+// A history item by id (and type, when given). Recent items come from memory; older ones are
+// read from the database, so changes to them must be saved with historyStore.put.
+function findHistoryItem(id, type) {
+  if (!historyStore || !id) return null;
+  const item = clipboardHistory.find(i => i.id === id) || historyStore.get(id);
+  return item && (!type || item.type === type) ? item : null;
+}
+
+// Call fn for every history item (or every item of one type), newest first. Items still in
+// memory are passed as that copy so changes made through either one aren't lost.
+function forEachHistoryItem(fn, type) {
+  const recent = new Map(clipboardHistory.map(i => [i.id, i]));
+  historyStore.each(item => fn(recent.get(item.id) || item), type);
+}
+
+function loadRecentHistory() {
+  clipboardHistory = historyStore.recent(RECENT_HISTORY_SIZE);
+}
+
+// Load saved clipboard history
 const loadHistory = () => {
+  historyStore = new HistoryStore(path.join(app.getPath('userData'), 'history.db'), {
+    // Encrypted history keeps no plaintext search index; it is searched in memory instead
+    getSearchText: item => encryptionKey ? '' : getSearchText(item),
+    getSourceApp: item => encryptionKey ? '' : getSourceApp(item),
+    getTags: item => encryptionKey ? [] : (item.tags || []),
+    encodeData: data => encryptionKey ? encryption.encryptString(encryptionKey, data) : data,
+    decodeData: data => encryption.isEncryptedString(data) ? encryption.decryptString(encryptionKey, data) : data
+  });
+
+  // One-time migration from the electron-store JSON blob used by earlier versions
+  if (store.has('clipboardHistory')) {
+    migrateLegacyHistory();
+  }
+
+  loadRecentHistory();
+  snippets = historyStore.allSnippets();
+  
+  // Rebuild caches for optimized duplicate detection
+  rebuildCaches();
+  console.log(`[cache] Rebuilt caches: ${textCache.size} texts, ${imageCache.size} images`);
+
+  migrateImageSignatures();
+  migrateContentTypes();
+};
+
+// Migration: classify texts captured before content-type detection existed. Large spilled
+// texts are left alone rather than read back from disk at startup.
+function migrateContentTypes() {
+  let changed = 0;
+  forEachHistoryItem(i => {
+    if (i.contentType || i.blobPath || isMasked(i)) return;
+    setContentType(i, decompressText(i.text));
+    if (!i.contentType) return;
+    historyStore.put(i);
+    changed++;
+  }, 'text');
+  if (changed === 0) return;
+  console.log(`[migration] Classified ${changed} text items`);
+}
+
+// Migration: images captured by earlier versions only have a `image:WxH` signature.
+// Recompute content-hash signatures from the stored PNGs one item per tick so startup isn't blocked.
+function migrateImageSignatures() {
+  const pending = [];
+  forEachHistoryItem(i => { if (!isContentSignature(i.signature)) pending.push(i.id); }, 'image');
+  if (pending.length === 0) return;
+  console.log(`[migration] Recomputing content signatures for ${pending.length} images`);
+
+  const migrateNext = () => {
+    if (pending.length === 0) {
+      rebuildCaches();
+      console.log('[migration] Image signature migration complete');
+      return;
+    }
+
+    // Skip items removed from history while the migration was running
+    const item = findHistoryItem(pending.shift(), 'image');
+    if (item && item.filePath && fs.existsSync(item.filePath)) {
+      try {
+        const img = nativeImage.createFromBuffer(readStoredFile(item.filePath));
+        if (!img.isEmpty()) {
+          item.signature = getImageSignature(img, img.getSize());
+          historyStore.put(item);
+        }
+      } catch (e) {
+        console.warn('[migration] Failed to hash image', item.id, e?.message || e);
+      }
+    }
+    setImmediate(migrateNext);
+  };
+
+  setImmediate(migrateNext);
+}
+
+function migrateLegacyHistory() {
   const saved = store.get('clipboardHistory', []);
-  clipboardHistory = Array.isArray(saved) ? saved : [];
+  let legacyHistory = Array.isArray(saved) ? saved : [];
   
   // Migration: Remove old entries with thumbDataUrl to free memory
   // New clipboard monitoring will regenerate thumbnails as files
-  let migrationNeeded = false;
-  clipboardHistory = clipboardHistory.filter(item => {
+  legacyHistory = legacyHistory.filter(item => {
     if (item.type === 'image' && item.thumbDataUrl && !item.thumbPath) {
       console.log('[migration] Removing old image entry with base64 thumbnail:', item.id);
       // Clean up the full-resolution file if it exists
       if (item.filePath) deleteFileQuiet(item.filePath);
-      migrationNeeded = true;
       return false; // Remove this entry
     }
     return true; // Keep this entry
   });
   
-  // Migration: Apply text size limits to existing text entries
-  clipboardHistory.forEach(item => {
-    if (item.type === 'text' && item.text && item.text.length > MAX_TEXT_SIZE) {
-      console.log(`[migration] Truncating text entry from ${item.text.length} to ${MAX_TEXT_SIZE} characters`);
-      item.text = truncateText(item.text);
-      migrationNeeded = true;
-    }
+  // Migration: Give every entry an id (database primary key, pin/unpin target)
+  legacyHistory.forEach(item => {
+    if (!item.id) item.id = generateItemId();
   });
-  
-  if (migrationNeeded) {
-    console.log('[migration] Cleaned up old base64 thumbnails, saving updated history');
-    store.set('clipboardHistory', clipboardHistory);
+
+  try {
+    historyStore.putMany(legacyHistory);
+    store.delete('clipboardHistory');
+    console.log(`[migration] Moved ${legacyHistory.length} items from electron-store into history database`);
+  } catch (e) {
+    // Keep the legacy blob so the migration can be retried on next launch
+    console.error('[migration] Failed to migrate legacy history', e?.message || e);
   }
-  
-  // Rebuild caches for optimized duplicate detection
-  rebuildCaches();
-  console.log(`[cache] Rebuilt caches: ${textCache.size} texts, ${imageCache.size} images`);
-};
+}
+
+// Plain text indexed by the history database for search
+function getSearchText(item) {
+  if (item.sensitive && item.sensitive.masked) return ''; // keep secrets out of the search index
+  if (item.type === 'text') return getItemFullText(item) || '';
+  if (item.type === 'image') return [`${item.width || ''}x${item.height || ''}`, getRecognizedText(item)].filter(Boolean).join('\n');
+  if (item.type === 'file') return (item.files || []).map(f => `${f.name} ${f.path}`).join('\n');
+  return '';
+}
+
+function getSourceApp(item) {
+  return (item.source && item.source.app) || '';
+}
+
+// Apps that history items were copied from, most used first, for the overlay's filter.
+// Encrypted rows don't record the app, so they are decrypted and counted here.
+function listSourceApps() {
+  if (!historyStore) return [];
+  let apps;
+  if (encryptionKey) {
+    const byName = new Map();
+    forEachHistoryItem(i => {
+      const name = getSourceApp(i);
+      if (!name) return;
+      const entry = byName.get(name) || { name, path: i.source.path || null, count: 0 };
+      entry.count++;
+      byName.set(name, entry);
+    });
+    apps = Array.from(byName.values());
+  } else {
+    apps = historyStore.sourceApps();
+  }
+  return apps.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+function getFilesSignature(paths) {
+  return `files:${paths.join('\n')}`;
+}
+
+// Name, size and kind of a copied file, captured once so the overlay needn't stat it
+function describeFile(filePath) {
+  const file = { path: filePath, name: path.basename(filePath) || filePath, size: null, isDirectory: false };
+  try {
+    const stats = fs.statSync(filePath);
+    file.isDirectory = stats.isDirectory();
+    if (!file.isDirectory) file.size = stats.size;
+  } catch (_) {}
+  return file;
+}
 
 function ensureImageStoreDir() {
   if (!imageStoreDir) {
@@ -1013,18 +1637,39 @@ function ensureImageStoreDir() {
   try { fs.mkdirSync(imageStoreDir, { recursive: true }); } catch (_) {}
 }
 
+// Image signature from a hash of the raw pixel data. Hashing the bitmap is a single
+// linear pass (a few ms for a full-HD screenshot), far cheaper than PNG encoding.
+function getImageSignature(img, size) {
+  const digest = crypto.createHash('sha1').update(img.toBitmap()).digest('hex');
+  return `image:${size.width}x${size.height}:${digest}`;
+}
+
+function isContentSignature(signature) {
+  return typeof signature === 'string' && /^image:\d+x\d+:[0-9a-f]+$/.test(signature);
+}
+
+function generateItemId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
 function saveImagePng(pngBuffer) {
   ensureImageStoreDir();
-  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const id = generateItemId();
   const filePath = path.join(imageStoreDir, `${id}.png`);
   try {
-    fs.writeFileSync(filePath, pngBuffer);
+    writeStoredFile(filePath, pngBuffer);
   } catch (e) {
     console.error('[image] Failed to write image file', e?.message || e);
   }
   return { id, filePath };
 }
 
+function saveImageThumbnail(img, size) {
+  const maxThumbWidth = getThumbWidth();
+  const thumb = img.resize({ width: Math.min(maxThumbWidth, size.width) });
+  return saveThumbnailWebP(thumb.toPNG(), 80); // 80% quality for good balance
+}
+
 function saveThumbnailWebP(thumbnailBuffer, quality = 80) {
   ensureImageStoreDir();
   const id = `thumb-${Date.now()}-${Math.random().toString(36).slice(2)}`;
@@ -1039,7 +1684,7 @@ function saveThumbnailWebP(thumbnailBuffer, quality = 80) {
     const base64Data = webpBuffer.split(',')[1];
     const webpImageBuffer = Buffer.from(base64Data, 'base64');
 
-    fs.writeFileSync(thumbPath, webpImageBuffer);
+    writeStoredFile(thumbPath, webpImageBuffer);
     console.log(`[thumbnail] Saved WebP thumbnail: ${webpBuffer.length} -> ${webpImageBuffer.length} bytes`);
     return thumbPath;
   } catch (e) {
@@ -1054,7 +1699,7 @@ function saveThumbnailPng(thumbnailBuffer) {
   const id = `thumb-${Date.now()}-${Math.random().toString(36).slice(2)}`;
   const thumbPath = path.join(imageStoreDir, `${id}.png`);
   try {
-    fs.writeFileSync(thumbPath, thumbnailBuffer);
+    writeStoredFile(thumbPath, thumbnailBuffer);
     return thumbPath;
   } catch (e) {
     console.error('[thumbnail] Failed to write thumbnail file', e?.message || e);
@@ -1062,6 +1707,22 @@ function saveThumbnailPng(thumbnailBuffer) {
   }
 }
 
+// Read an image, thumbnail or text blob, decrypting it when it was stored encrypted
+function readStoredFile(filePath, key = encryptionKey) {
+  const buffer = fs.readFileSync(filePath);
+  if (!encryption.isEncryptedBuffer(buffer)) return buffer;
+  if (!key) throw new Error('History is encrypted and locked');
+  return encryption.decryptBuffer(key, buffer);
+}
+
+// Write an image, thumbnail or text blob, encrypted while at-rest encryption is enabled.
+// Goes through a temp file so an interrupted rewrite never leaves a half-written file.
+function writeStoredFile(filePath, buffer, key = encryptionKey) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, key ? encryption.encryptBuffer(key, buffer) : buffer);
+  fs.renameSync(tmpPath, filePath);
+}
+
 function deleteFileQuiet(filePath) {
   try { fs.unlinkSync(filePath); } catch (_) {}
 }
@@ -1111,127 +1772,952 @@ function decompressText(compressedData) {
   return compressedData;
 }
 
-function truncateText(text) {
-  if (!text || typeof text !== 'string') return text;
-  if (text.length <= MAX_TEXT_SIZE) return text;
+// Large text bodies live in zlib-compressed blob files; only a preview stays in memory
+function ensureTextBlobDir() {
+  if (!textBlobDir) {
+    textBlobDir = path.join(app.getPath('userData'), 'blobs');
+  }
+  try { fs.mkdirSync(textBlobDir, { recursive: true }); } catch (_) {}
+}
+
+function saveTextBlob(text) {
+  ensureTextBlobDir();
+  const blobPath = path.join(textBlobDir, `${generateItemId()}.txt.z`);
+  const input = Buffer.from(text, 'utf8');
+  const compressed = zlib.deflateSync(input);
+  writeStoredFile(blobPath, compressed);
+  console.log(`[blob] Stored text blob: ${input.length} -> ${compressed.length} bytes`);
+  return blobPath;
+}
+
+function readTextBlob(blobPath) {
+  return zlib.inflateSync(readStoredFile(blobPath)).toString('utf8');
+}
 
-  const truncated = text.substring(0, MAX_TEXT_SIZE);
-  console.log(`[memory] Text truncated from ${text.length} to ${truncated.length} characters`);
-  return truncated + '\n\n[... text truncated for memory optimization]';
+function hashText(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
 }
 
-// Enhanced text processing with compression
-function processText(text) {
-  if (!text || typeof text !== 'string') return text;
+// Duplicate-detection key: a hash, so the cache doesn't hold every text in memory
+function getTextKey(text) {
+  return `sha256:${hashText(text)}`;
+}
 
-  // First truncate if too large
-  text = truncateText(text);
+function getItemTextKey(item) {
+  return `sha256:${item.textHash || hashText(decompressText(item.text))}`;
+}
 
-  // Then compress if still large enough
-  return compressText(text);
+// Full original text of a history item, reading the blob file when it was spilled
+function getItemFullText(item) {
+  if (item.blobPath) {
+    try {
+      return readTextBlob(item.blobPath);
+    } catch (e) {
+      console.error('[blob] Failed to read text blob, falling back to preview', e?.message || e);
+      return item.text;
+    }
+  }
+  return decompressText(item.text);
+}
+
+// Enhanced text processing: returns the text fields of a history item
+function processText(text) {
+  if (text.length > TEXT_BLOB_THRESHOLD) {
+    try {
+      return {
+        text: text.substring(0, TEXT_PREVIEW_SIZE),
+        blobPath: saveTextBlob(text),
+        textLength: text.length,
+        textHash: hashText(text)
+      };
+    } catch (e) {
+      console.error('[blob] Failed to write text blob, keeping text inline', e?.message || e);
+    }
+  }
+
+  return { text: compressText(text) };
 }
 
 // Cache management functions for optimized duplicate detection
 function rebuildCaches() {
   textCache.clear();
   imageCache.clear();
-  clipboardHistory.forEach(item => {
+  fileCache.clear();
+  expiringItems.clear();
+  forEachHistoryItem(item => {
     if (item.type === 'text') {
-      textCache.add(item.text);
+      textCache.set(getItemTextKey(item), item.id);
     } else if (item.type === 'image' && item.signature) {
-      imageCache.add(item.signature);
+      imageCache.set(item.signature, item.id);
+    } else if (item.type === 'file' && item.signature) {
+      fileCache.set(item.signature, item.id);
     }
+    trackExpiry(item);
   });
 }
 
+// Each returns the removed duplicate (or null), so the new copy can inherit its pin and tags
 function removeDuplicateText(text) {
-  if (!textCache.has(text)) return false;
+  const key = getTextKey(text);
+  if (!textCache.has(key)) return null;
   
-  // Remove from array and cache
-  const index = clipboardHistory.findIndex(h => h.type === 'text' && h.text === text);
-  if (index !== -1) {
-    clipboardHistory.splice(index, 1);
-    textCache.delete(text);
-    return true;
+  // Remove from history, the database and the cache
+  const oldItem = findHistoryItem(textCache.get(key), 'text');
+  if (oldItem) {
+    if (oldItem.blobPath) deleteFileQuiet(oldItem.blobPath);
+    forgetItem(oldItem);
+    textCache.delete(key);
   }
-  return false;
+  return oldItem;
 }
 
 function removeDuplicateImage(item) {
-  let removed = false;
+  let oldItem = null;
   
   if (item.signature && imageCache.has(item.signature)) {
     // Remove by signature
-    const index = clipboardHistory.findIndex(h => h.type === 'image' && h.signature === item.signature);
-    if (index !== -1) {
-      const oldItem = clipboardHistory[index];
+    oldItem = findHistoryItem(imageCache.get(item.signature), 'image');
+    if (oldItem) {
       if (oldItem.filePath) deleteFileQuiet(oldItem.filePath);
       if (oldItem.thumbPath) deleteFileQuiet(oldItem.thumbPath);
-      clipboardHistory.splice(index, 1);
+      forgetItem(oldItem);
       imageCache.delete(item.signature);
-      removed = true;
-    }
-  } else {
-    // Fallback: remove by dimensions
-    const index = clipboardHistory.findIndex(h => 
-      h.type === 'image' && h.width === item.width && h.height === item.height
-    );
-    if (index !== -1) {
-      const oldItem = clipboardHistory[index];
-      if (oldItem.filePath) deleteFileQuiet(oldItem.filePath);
-      if (oldItem.thumbPath) deleteFileQuiet(oldItem.thumbPath);
-      clipboardHistory.splice(index, 1);
-      if (oldItem.signature) imageCache.delete(oldItem.signature);
-      removed = true;
     }
   }
   
+  return oldItem;
+}
+
+function removeDuplicateFiles(signature) {
+  if (!fileCache.has(signature)) return null;
+
+  const oldItem = findHistoryItem(fileCache.get(signature), 'file');
+  if (oldItem) {
+    forgetItem(oldItem);
+    fileCache.delete(signature);
+  }
+  return oldItem;
+}
+
+// A recapture replaces its older copy, keeping that copy's pin and tags
+function inheritFromDuplicate(newItem, duplicate) {
+  if (duplicate.pinned) newItem.pinned = true;
+  const tags = normalizeTags((newItem.tags || []).concat(duplicate.tags || []));
+  if (tags.length) newItem.tags = tags;
+}
+
+// Drop a replaced duplicate's row and in-memory copy; its files are handled by the caller
+function forgetItem(oldItem) {
+  clipboardHistory = clipboardHistory.filter(i => i.id !== oldItem.id);
+  historyStore.remove(oldItem.id);
+  expiringItems.delete(oldItem.id);
+}
+
+// Release files and cache entries held by an item that is leaving the history
+function releaseItemResources(item) {
+  expiringItems.delete(item.id);
+  if (item.type === 'image') {
+    if (item.filePath) deleteFileQuiet(item.filePath);
+    if (item.thumbPath) deleteFileQuiet(item.thumbPath);
+    if (item.signature) imageCache.delete(item.signature);
+  } else if (item.type === 'text') {
+    if (item.blobPath) deleteFileQuiet(item.blobPath);
+    textCache.delete(getItemTextKey(item));
+  } else if (item.type === 'file') {
+    // Only the list is ours; the copied files themselves are never touched
+    if (item.signature) fileCache.delete(item.signature);
+  }
+}
+
+// Drop the oldest unpinned items beyond `limit`; pinned items are never trimmed
+function trimHistory(limit) {
+  const removed = historyStore.unpinnedBeyond(limit);
+  if (removed.length === 0) return [];
+
+  const ids = new Set(removed.map(i => i.id));
+  removed.forEach(releaseItemResources);
+  historyStore.removeMany(Array.from(ids));
+  clipboardHistory = clipboardHistory.filter(i => !ids.has(i.id));
+  clipboardCache.removeItems(ids); // so copying a trimmed item again records it
   return removed;
 }
 
-function sendHistoryToRenderer() {
-  if (!mainWindow || mainWindow.isDestroyed()) return;
+// Remove specific items (pinned or not) with their files and cache entries
+function removeItems(items) {
+  const ids = new Set(items.map(i => i.id));
+  items.forEach(releaseItemResources);
+  historyStore.removeMany(Array.from(ids));
+  clipboardHistory = clipboardHistory.filter(i => !ids.has(i.id));
+  clipboardCache.removeItems(ids);
+}
+
+// Delete items by id; returns how many existed
+function deleteItems(ids) {
+  if (!historyStore) return 0;
+  const items = Array.from(new Set(ids), id => findHistoryItem(id)).filter(Boolean);
+  if (items.length === 0) return 0;
+  removeItems(items);
+  console.log(`[history] Deleted ${items.length} item(s)`);
+  sendHistoryToRenderer();
+  return items.length;
+}
+
+const MAX_EDIT_LENGTH = 10 * 1024 * 1024; // characters; the overlay editor is a plain textarea
+
+// Replace the text of a history item. The edited item keeps its place, id and tags; formatted
+// flavors are dropped since they no longer match, secret detection runs again, and an existing
+// item with the same text is merged into it (keeping its pin and tags).
+function editTextItem(id, text) {
+  if (!historyStore) return { ok: false, error: 'History is locked' };
+  const item = findHistoryItem(id, 'text');
+  if (!item) return { ok: false, error: 'Item not found' };
+  if (typeof text !== 'string' || text.trim() === '') return { ok: false, error: 'Text cannot be empty' };
+  if (text.length > MAX_EDIT_LENGTH) return { ok: false, error: 'Text is too long' };
+
+  const sensitive = detectSensitive(text, getSensitiveConfig());
+  if (sensitive && sensitive.action === 'skip') {
+    return { ok: false, error: `Matches "${sensitive.rules.map(r => r.name).join(', ')}", which is set to not be recorded` };
+  }
+
+  const key = getTextKey(text);
+  const duplicate = textCache.get(key) !== item.id && findHistoryItem(textCache.get(key), 'text');
+  if (duplicate) {
+    if (duplicate.pinned) item.pinned = true;
+    const tags = normalizeTags((item.tags || []).concat(duplicate.tags || []));
+    if (tags.length) item.tags = tags;
+    removeItems([duplicate]);
+  }
+
+  releaseItemResources(item); // old blob file and text cache key
+  clipboardCache.removeItems(new Set([item.id])); // its LRU key was derived from the old text
+  ['text', 'blobPath', 'textLength', 'textHash', 'html', 'rtf', 'sensitive', 'expiresAt'].forEach(field => delete item[field]);
+  Object.assign(item, processText(text));
+  if (sensitive) markSensitive(item, sensitive);
+  if (item.pinned) delete item.expiresAt;
+  trackExpiry(item);
+  if (isMasked(item)) delete item.contentType;
+  else setContentType(item, text);
+  textCache.set(key, item.id);
+
+  historyStore.put(item);
+  console.log(`[history] Edited item ${item.id}${duplicate ? ' (merged a duplicate)' : ''}`);
+  sendHistoryToRenderer();
+  return { ok: true };
+}
+
+// Remove every unpinned item; pinned items survive until explicitly unpinned
+function clearHistory() {
+  if (!historyStore) return;
+  forEachHistoryItem(i => { if (!i.pinned) releaseItemResources(i); });
+  clipboardHistory = clipboardHistory.filter(i => i.pinned);
+  historyStore.clearUnpinned();
+  clipboardCache.clear();
+  rebuildCaches();
+}
+
+// Sensitive-content settings merged over the defaults
+function getSensitiveConfig() {
+  return Object.assign({}, DEFAULT_SETTINGS.sensitive, settings.sensitive);
+}
+
+function getSensitiveExpiryMs() {
+  const v = Number(getSensitiveConfig().expireMinutes);
+  return (Number.isFinite(v) && v > 0 ? v : DEFAULT_SETTINGS.sensitive.expireMinutes) * 60000;
+}
+
+// URL, email, path, color, JSON, code, phone, number or date (see content-types.js)
+function setContentType(item, text) {
+  const kind = detectContentType(text);
+  if (kind) item.contentType = kind;
+  else delete item.contentType;
+}
+
+// Record which rules matched and apply mask/expire to a new history item
+function markSensitive(newItem, detection) {
+  newItem.sensitive = {
+    rules: detection.rules.map(r => r.name),
+    masked: detection.action === 'mask'
+  };
+  if (detection.expire) newItem.expiresAt = Date.now() + getSensitiveExpiryMs();
+  trackExpiry(newItem);
+}
+
+// Keep expiringItems in step with an item's expiresAt, so the sweep never scans all history
+function trackExpiry(item) {
+  if (item.expiresAt && !item.pinned) expiringItems.set(item.id, item.expiresAt);
+  else expiringItems.delete(item.id);
+}
+
+function isMasked(item) {
+  return !!(item && item.sensitive && item.sensitive.masked);
+}
+
+// Delete auto-expiring items whose time is up; pinned items never expire
+function pruneExpiredItems() {
+  if (!historyStore) return;
+  const now = Date.now();
+  const due = Array.from(expiringItems).filter(([, expiresAt]) => expiresAt <= now).map(([id]) => id);
+  due.forEach(id => expiringItems.delete(id));
+  const expired = due.map(id => findHistoryItem(id)).filter(i => i && !i.pinned);
+  if (expired.length === 0) return;
+
+  removeItems(expired);
+  console.log(`[sensitive] Expired ${expired.length} item(s)`);
+  sendHistoryToRenderer();
+}
+
+function startExpirySweep() {
+  if (expiryCheckInterval) clearInterval(expiryCheckInterval);
+  pruneExpiredItems();
+  expiryCheckInterval = setInterval(pruneExpiredItems, EXPIRY_CHECK_INTERVAL);
+}
+
+function setItemPinned(id, pinned) {
+  const item = findHistoryItem(id);
+  if (!item) return false;
+
+  if (pinned) {
+    item.pinned = true;
+    delete item.expiresAt; // pinning is an explicit request to keep the item
+    trackExpiry(item);
+  } else {
+    delete item.pinned;
+  }
+
+  historyStore.put(item);
+  // An unpinned item rejoins regular history and its size limit
+  if (!pinned) trimHistory(getMaxHistory());
+  sendHistoryToRenderer();
+  return true;
+}
+
+// Tags are lowercase single tokens so they work as `tag:` qualifiers
+function normalizeTag(tag) {
+  return String(tag || '').trim().toLowerCase().replace(/[\s|,]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+}
+
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map(normalizeTag).filter(Boolean)));
+}
+
+// Tags given to a new item by a capture hook
+function setNewItemTags(newItem, tags) {
+  const normalized = normalizeTags(tags);
+  if (normalized.length) newItem.tags = normalized;
+}
+
+function setItemTags(id, tags) {
+  const item = findHistoryItem(id);
+  if (!item) return null;
+
+  const normalized = normalizeTags(tags);
+  if (normalized.length) item.tags = normalized;
+  else delete item.tags;
+
+  historyStore.put(item);
+  sendHistoryToRenderer();
+  return normalized;
+}
+
+// Every tag in use with its item count, for the overlay's collection tabs. Like source
+// apps, tags of encrypted rows are only readable after decrypting them.
+function listTags() {
+  if (!historyStore) return [];
+  const counts = new Map();
+  const count = tags => tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  if (encryptionKey) forEachHistoryItem(i => count(i.tags || []));
+  else historyStore.tagLists().forEach(count);
+  return Array.from(counts, ([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Snippet library
+const MAX_SNIPPET_NAME = 100;
+const MAX_SNIPPET_BODY = 100000;
+const MAX_SNIPPET_RESULTS = 20;
+
+function saveSnippet({ id, name, body } = {}) {
+  name = String(name || '').trim().slice(0, MAX_SNIPPET_NAME);
+  body = String(body || '');
+  if (!name) throw new Error('Snippet name is required');
+  if (!body) throw new Error('Snippet text is required');
+  if (body.length > MAX_SNIPPET_BODY) throw new Error('Snippet is too long');
+
+  let snippet = id ? snippets.find(s => s.id === id) : null;
+  if (snippet) {
+    Object.assign(snippet, { name, body, updatedAt: Date.now() });
+    snippets = [snippet].concat(snippets.filter(s => s !== snippet));
+  } else {
+    snippet = { id: generateItemId(), name, body, createdAt: Date.now(), updatedAt: Date.now() };
+    snippets.unshift(snippet);
+  }
+  historyStore.putSnippet(snippet);
+  return snippet;
+}
+
+function deleteSnippet(id) {
+  const before = snippets.length;
+  snippets = snippets.filter(s => s.id !== id);
+  historyStore.removeSnippet(id);
+  return snippets.length !== before;
+}
+
+// Snippets matching the search box, name matches first; shown above history results while
+// searching. Qualifiers (tag:, type:, ...) only apply to history, so they hide snippets.
+function searchSnippets(search) {
+  const query = parseQuery(search);
+  if (!hasTextQuery(query) || hasQualifiers(query)) return [];
+  return snippets
+    .map(s => {
+      const byName = matchText(s.name, query);
+      const match = byName || matchText(`${s.name}\n${s.body}`, query);
+      return match && { snippet: s, byName: !!byName, score: match.score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Number(b.byName) - Number(a.byName) || b.score - a.score)
+    .slice(0, MAX_SNIPPET_RESULTS)
+    .map(r => r.snippet);
+}
+
+function toRendererSnippet(s) {
+  return { type: 'snippet', id: s.id, name: s.name, body: s.body, inputs: getTemplateInputs(s.body), updatedAt: s.updatedAt };
+}
+
+// Export history (or the items matching `search`) to a portable archive
+function exportHistory(filePath, { search = '', sourceApp = '', tag = '' } = {}) {
+  const ids = search || sourceApp || tag ? new Set(searchHistoryIds({ search, sourceApp, tag })) : null;
+  const files = new Map();
+  const items = [];
+
+  forEachHistoryItem(i => {
+    if (ids && !ids.has(i.id)) return;
+    const entry = { type: i.type, timestamp: i.timestamp, pinned: !!i.pinned };
+    if (i.source) entry.source = i.source;
+    if (i.tags && i.tags.length) entry.tags = i.tags;
+    if (i.sensitive) entry.sensitive = i.sensitive;
+    if (i.expiresAt) entry.expiresAt = i.expiresAt;
+    if (i.type === 'text') {
+      entry.text = getItemFullText(i);
+      if (i.html) entry.html = decompressText(i.html);
+      if (i.rtf) entry.rtf = decompressText(i.rtf);
+    } else if (i.type === 'image') {
+      if (!i.filePath || !fs.existsSync(i.filePath)) return;
+      entry.image = `images/${i.id}.png`;
+      entry.width = i.width;
+      entry.height = i.height;
+      files.set(entry.image, readStoredFile(i.filePath));
+    } else if (i.type === 'file') {
+      entry.files = i.files;
+      entry.fileFormat = i.fileFormat;
+    } else {
+      return;
+    }
+    items.push(entry);
+  });
+
+  writeArchive(filePath, items, files);
+  console.log(`[archive] Exported ${items.length} items to ${filePath}`);
+  return items.length;
+}
+
+// Sensitive-content result for an imported text: the current rules, plus the flags the item
+// was exported with so a masked or auto-expiring secret stays that way after a round trip
+function detectImportedSensitive(entry) {
+  const sensitive = detectSensitive(entry.text, getSensitiveConfig());
+  const flags = entry.sensitive;
+  if ((sensitive && sensitive.action === 'skip') || !flags || !Array.isArray(flags.rules)) return sensitive;
+
+  const names = new Set((sensitive ? sensitive.rules.map(r => r.name) : []).concat(flags.rules.map(String)));
+  const masked = !!flags.masked || !!(sensitive && sensitive.action === 'mask');
+  const expire = !!entry.expiresAt || !!(sensitive && sensitive.expire);
+  return {
+    action: masked ? 'mask' : 'expire',
+    expire,
+    rules: Array.from(names, name => ({ name }))
+  };
+}
 
-  // Use LRU cache order if available, otherwise use regular history
-  const itemsToSend = clipboardCache.size() > 0 ? clipboardCache.getItemsInOrder() : clipboardHistory;
+// Build a history item from an archive entry; null when invalid, already in history, or
+// matching a rule that is set to not be recorded
+function createImportedItem(entry, archive) {
+  const timestamp = Number(entry.timestamp) || Date.now();
+  let item = null;
+  let sensitive = null;
+
+  if (entry.type === 'text' && typeof entry.text === 'string' && entry.text !== '') {
+    sensitive = detectImportedSensitive(entry);
+    if (sensitive && sensitive.action === 'skip') return null;
+    const key = getTextKey(entry.text);
+    if (textCache.has(key)) return null;
+    item = Object.assign({ type: 'text', id: generateItemId() }, processText(entry.text), { timestamp });
+    if (typeof entry.html === 'string' && entry.html) item.html = compressText(entry.html);
+    if (typeof entry.rtf === 'string' && entry.rtf) item.rtf = compressText(entry.rtf);
+    if (!sensitive || sensitive.action !== 'mask') setContentType(item, entry.text);
+    textCache.set(key, item.id);
+  } else if (entry.type === 'image') {
+    const pngBuffer = archive.readFile(entry.image);
+    if (!pngBuffer) return null;
+    const img = nativeImage.createFromBuffer(pngBuffer);
+    if (img.isEmpty()) return null;
+    const size = img.getSize();
+    const signature = getImageSignature(img, size);
+    if (imageCache.has(signature)) return null;
+
+    const { id, filePath } = saveImagePng(pngBuffer);
+    item = {
+      type: 'image',
+      id,
+      filePath,
+      width: size.width,
+      height: size.height,
+      thumbPath: saveImageThumbnail(img, size),
+      signature,
+      timestamp
+    };
+    imageCache.set(signature, id);
+  } else if (entry.type === 'file' && Array.isArray(entry.files)) {
+    const paths = entry.files.map(f => f && f.path).filter(p => typeof p === 'string' && p);
+    if (paths.length === 0) return null;
+    const signature = getFilesSignature(paths);
+    if (fileCache.has(signature)) return null;
+    item = {
+      type: 'file',
+      id: generateItemId(),
+      files: paths.map(describeFile),
+      fileFormat: entry.fileFormat,
+      signature,
+      timestamp
+    };
+    fileCache.set(signature, item.id);
+  }
+
+  if (item && entry.pinned) item.pinned = true;
+  if (item && entry.source && typeof entry.source.app === 'string') item.source = entry.source;
+  if (item && Array.isArray(entry.tags)) {
+    const tags = normalizeTags(entry.tags);
+    if (tags.length) item.tags = tags;
+  }
+  if (item && sensitive) {
+    markSensitive(item, sensitive);
+    // Keep the exported deadline rather than restarting the expiry window
+    if (sensitive.expire && Number(entry.expiresAt) > 0) item.expiresAt = Number(entry.expiresAt);
+    if (item.pinned) delete item.expiresAt;
+    trackExpiry(item);
+  }
+  return item;
+}
+
+// Merge an archive into the existing history, skipping items that are already present
+function importHistory(filePath) {
+  const archive = readArchive(filePath);
+  const imported = [];
+  let skipped = 0;
+
+  archive.items.forEach(entry => {
+    try {
+      const item = createImportedItem(entry, archive);
+      if (item) {
+        imported.push(item);
+      } else {
+        skipped++;
+      }
+    } catch (e) {
+      console.warn('[archive] Failed to import item:', e?.message || e);
+      skipped++;
+    }
+  });
+
+  historyStore.putMany(imported);
+  loadRecentHistory();
+  const trimmed = trimHistory(getMaxHistory()).length;
+  queueOcr(imported.filter(i => i.type === 'image').map(i => i.id)); // trimmed ones are skipped by the queue's load
+  sendHistoryToRenderer();
+
+  console.log(`[archive] Imported ${imported.length} items from ${filePath} (${skipped} skipped, ${trimmed} trimmed by max history)`);
+  return { imported: imported.length, skipped, trimmed };
+}
+
+async function exportHistoryWithDialog(options = {}) {
+  if (!historyStore) return { ok: false, error: 'History is locked' };
+  hideOverlayWindows();
+  const stamp = new Date().toISOString().slice(0, 10);
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Export Clipboard History',
+    defaultPath: path.join(app.getPath('documents'), `clipboard-history-${stamp}.zip`),
+    filters: [{ name: 'Clipboard History Archive', extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  try {
+    const exported = exportHistory(filePath, options);
+    dialog.showMessageBox({ type: 'info', message: `Exported ${exported} clipboard items.`, detail: filePath });
+    return { exported, filePath };
+  } catch (e) {
+    console.error('[archive] Export failed', e?.message || e);
+    dialog.showErrorBox('Export failed', e?.message || String(e));
+    return { error: e?.message || String(e) };
+  }
+}
+
+async function importHistoryWithDialog() {
+  if (!historyStore) return { ok: false, error: 'History is locked' };
+  hideOverlayWindows();
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Import Clipboard History',
+    properties: ['openFile'],
+    filters: [{ name: 'Clipboard History Archive', extensions: ['zip'] }]
+  });
+  if (canceled || !filePaths || filePaths.length === 0) return { canceled: true };
+
+  try {
+    const result = importHistory(filePaths[0]);
+    dialog.showMessageBox({
+      type: 'info',
+      message: `Imported ${result.imported} clipboard items.`,
+      detail: `${result.skipped} duplicates or invalid entries skipped` +
+        (result.trimmed ? `, ${result.trimmed} older items removed by the max history setting.` : '.')
+    });
+    return result;
+  } catch (e) {
+    console.error('[archive] Import failed', e?.message || e);
+    dialog.showErrorBox('Import failed', e?.message || String(e));
+    return { error: e?.message || String(e) };
+  }
+}
+
+// At-rest encryption. The config lives in electron-store under 'encryption':
+// { mode: 'keyring' | 'passphrase', salt?, wrappedKey?, check, pendingMigration? }
+function getEncryptionConfig() {
+  return store.get('encryption', null);
+}
+
+function isKeyringAvailable() {
+  try { return safeStorage.isEncryptionAvailable(); } catch (_) { return false; }
+}
+
+function getEncryptionStatus() {
+  const config = getEncryptionConfig();
+  return {
+    enabled: !!config,
+    mode: config ? config.mode : null,
+    locked: historyLocked,
+    keyringAvailable: isKeyringAvailable()
+  };
+}
+
+const REWRITE_BATCH_SIZE = 500;
+
+// Re-write every stored file and database row from one key to another (null = plaintext).
+// Rows are read with fromKey and saved in batches with toKey, which stays the current key.
+function rewriteStoredData(fromKey, toKey) {
+  const batch = [];
+  const saveBatch = () => {
+    encryptionKey = toKey;
+    historyStore.putMany(batch.splice(0));
+    encryptionKey = fromKey;
+  };
 
-  const lightweight = itemsToSend.map(i => {
-    if (i.type === 'image') {
-      // Use lazy loading for thumbnails - send file path instead of base64
-      // Renderer will load thumbnails on demand
-      let thumbDataUrl = null;
-      if (i.thumbPath && fs.existsSync(i.thumbPath)) {
+  encryptionKey = fromKey;
+  try {
+    forEachHistoryItem(item => {
+      [item.filePath, item.thumbPath, item.blobPath].forEach(filePath => {
+        if (!filePath || !fs.existsSync(filePath)) return;
         try {
-          // Only load thumbnail if it's WebP or small PNG, otherwise lazy load
-          const stats = fs.statSync(i.thumbPath);
-          if (stats.size < 50000 || i.thumbPath.endsWith('.webp')) { // Load small files or WebP immediately
-            const thumbBuffer = fs.readFileSync(i.thumbPath);
-            const format = i.thumbPath.endsWith('.webp') ? 'webp' : 'png';
-            thumbDataUrl = `data:image/${format};base64,${thumbBuffer.toString('base64')}`;
-          } else {
-            // For large PNG files, send file path for lazy loading
-            thumbDataUrl = `file://${i.thumbPath}`;
-          }
+          writeStoredFile(filePath, readStoredFile(filePath, fromKey), toKey);
         } catch (e) {
-          console.warn('[thumbnail] Failed to read thumbnail file:', e?.message || e);
+          console.warn('[encryption] Failed to rewrite', filePath, e?.message || e);
         }
+      });
+      batch.push(item);
+      if (batch.length >= REWRITE_BATCH_SIZE) saveBatch();
+    });
+    saveBatch();
+  } finally {
+    encryptionKey = toKey;
+  }
+
+  // Vacuum drops the old plaintext pages
+  historyStore.putSnippets(snippets);
+  historyStore.vacuum();
+}
+
+function enableEncryption({ mode, passphrase } = {}) {
+  if (getEncryptionConfig()) throw new Error('Encryption is already enabled');
+  if (historyLocked || !historyStore) throw new Error('History is not loaded');
+
+  let key;
+  const config = { mode };
+  if (mode === 'keyring') {
+    if (!isKeyringAvailable()) throw new Error('The OS keyring is not available');
+    key = encryption.generateKey();
+    config.wrappedKey = safeStorage.encryptString(key.toString('base64')).toString('base64');
+  } else if (mode === 'passphrase') {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new Error('Passphrase must be at least 8 characters');
+    }
+    config.salt = encryption.generateSalt();
+    key = encryption.deriveKey(passphrase, config.salt);
+  } else {
+    throw new Error(`Unknown encryption mode: ${mode}`);
+  }
+  config.check = encryption.createKeyCheck(key);
+
+  // Save the config before touching data so an interrupted migration can resume on next unlock
+  store.set('encryption', Object.assign({ pendingMigration: true }, config));
+  encryptionKey = key;
+  rewriteStoredData(null, key);
+  store.set('encryption', config);
+  console.log(`[encryption] Enabled (${mode}); encrypted ${historyStore.count()} items in place`);
+}
+
+function disableEncryption() {
+  if (!getEncryptionConfig()) return;
+  if (historyLocked || !encryptionKey) throw new Error('Unlock history before disabling encryption');
+
+  const oldKey = encryptionKey;
+  encryptionKey = null;
+  rewriteStoredData(oldKey, null);
+  store.delete('encryption');
+  console.log('[encryption] Disabled; history decrypted in place');
+}
+
+// Resolve the key at startup. Returns false when a passphrase is needed first.
+function initEncryption() {
+  const config = getEncryptionConfig();
+  if (!config) return true;
+
+  if (config.mode === 'keyring') {
+    try {
+      const key = Buffer.from(safeStorage.decryptString(Buffer.from(config.wrappedKey, 'base64')), 'base64');
+      if (encryption.verifyKey(key, config.check)) {
+        encryptionKey = key;
+        return true;
       }
-      return {
-        type: 'image',
-        id: i.id,
-        width: i.width,
-        height: i.height,
-        thumbDataUrl,
-        thumbPath: i.thumbPath, // Include path for lazy loading
-        timestamp: i.timestamp
-      };
+    } catch (e) {
+      console.error('[encryption] Failed to read key from OS keyring', e?.message || e);
     }
+  }
+
+  historyLocked = true;
+  return false;
+}
+
+function unlockHistory(passphrase) {
+  const config = getEncryptionConfig();
+  if (!historyLocked || !config || !config.salt) return !historyLocked;
+
+  const key = encryption.deriveKey(String(passphrase || ''), config.salt);
+  if (!encryption.verifyKey(key, config.check)) return false;
 
-    // Decompress text before sending to renderer
-    const decompressedText = decompressText(i.text);
-    return { type: 'text', text: decompressedText, timestamp: i.timestamp };
+  encryptionKey = key;
+  historyLocked = false;
+  startHistory();
+  console.log('[encryption] History unlocked');
+  return true;
+}
+
+// Keyring mode: read the key again, e.g. once the OS keyring has been unlocked
+function retryKeyringUnlock() {
+  const config = getEncryptionConfig();
+  if (!historyLocked || !config || config.mode !== 'keyring') return !historyLocked;
+
+  historyLocked = false;
+  if (!initEncryption()) return false;
+  startHistory();
+  console.log('[encryption] History unlocked from the OS keyring');
+  return true;
+}
+
+// Give up on locked history whose key is lost: delete it and start over unencrypted.
+// Asks first, since nothing can be recovered afterwards.
+async function resetLockedHistory() {
+  if (!historyLocked) return false;
+  hideOverlayWindows();
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Delete History', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: 'Delete the encrypted clipboard history?',
+    detail: 'Its key is not available, so the history and snippets can never be read again. ' +
+      'Encryption is turned off; you can enable it again in Settings.'
   });
-  mainWindow.webContents.send('clipboard-updated', lightweight);
+  if (response !== 0) return false;
+
+  const userData = app.getPath('userData');
+  ['history.db', 'history.db-wal', 'history.db-shm'].forEach(file => deleteFileQuiet(path.join(userData, file)));
+  ['images', 'blobs'].forEach(dir => fs.rmSync(path.join(userData, dir), { recursive: true, force: true }));
+  store.delete('encryption');
+  encryptionKey = null;
+  historyLocked = false;
+  startHistory();
+  console.log('[encryption] Deleted locked history; starting fresh');
+  return true;
+}
+
+// Load history and start capturing; deferred while encrypted history is locked
+function startHistory() {
+  loadHistory();
+
+  const config = getEncryptionConfig();
+  if (config && config.pendingMigration) {
+    console.log('[encryption] Resuming interrupted encryption migration');
+    rewriteStoredData(encryptionKey, encryptionKey);
+    delete config.pendingMigration;
+    store.set('encryption', config);
+  }
+
+  monitorClipboard();
+  startExpirySweep();
+  sendHistoryToRenderer();
+  queueMissingOcr();
+}
+
+// Search candidates for encrypted history, which has no plaintext index on disk: every row is
+// decrypted and filtered here. Large spilled texts are matched on their stored preview only.
+function decryptedHistoryCandidates({ sourceApp, tags }, query) {
+  const candidates = [];
+  forEachHistoryItem(i => {
+    if (sourceApp && getSourceApp(i) !== sourceApp) return;
+    if (!tags.every(tag => (i.tags || []).includes(tag))) return;
+    const length = i.type === 'text' ? (i.textLength || decompressText(i.text).length) : 0;
+    if (!matchesQualifiers({ type: i.type, timestamp: i.timestamp, length }, query)) return;
+    candidates.push({ id: i.id, pinned: i.pinned, timestamp: i.timestamp, text: i.blobPath && !isMasked(i) ? i.text : getSearchText(i) });
+  });
+  return candidates;
+}
+
+// Parse the search box (see search-query.js) and combine it with the overlay's app/collection filters
+function buildHistoryFilter({ search, sourceApp, tag }) {
+  const query = parseQuery(search);
+  const tags = normalizeTags(query.tags);
+  const selected = normalizeTag(tag);
+  if (selected && !tags.includes(selected)) tags.push(selected);
+  return { query, filter: { sourceApp, tags, types: query.types, after: query.after, before: query.before, lengths: query.lengths } };
+}
+
+// Every item matching a search, best first, as { results: [{ id, pinned, ranges }], errors }.
+// The overlay pages through the same results while scrolling, so the last ranking is kept
+// until history changes.
+let searchResultCache = null;
+
+function rankHistory({ search, sourceApp, tag }) {
+  const key = JSON.stringify([search, sourceApp, tag]);
+  if (searchResultCache && searchResultCache.key === key) return searchResultCache.ranked;
+
+  const { query, filter } = buildHistoryFilter({ search, sourceApp, tag });
+  const ranking = encryptionKey ? rankEntries(decryptedHistoryCandidates(filter, query), query) : rankStoredHistory(filter, query);
+  const results = ranking.map(r => ({ id: r.entry.id, pinned: !!r.entry.pinned, ranges: r.ranges }));
+  // Errors include those found while matching, e.g. a regex that ran out of time
+  const ranked = { results, errors: query.errors };
+  searchResultCache = { key, ranked };
+  return ranked;
+}
+
+// Rank plaintext history. Items containing every search word are found through the full-text
+// index; the rest of the (filtered) history is only scanned for fuzzy matches when there are
+// none, or for a regex, which the index can't help with.
+function rankStoredHistory(filter, query) {
+  const scan = extra => rankEntries(historyStore.searchCandidates(Object.assign({}, filter, extra), MAX_SCAN_LENGTH), query);
+  if (query.regex) return scan({});
+  const substring = scan({ phrases: query.terms.map(t => t.text) });
+  return substring.length || !hasFuzzyTerms(query) ? substring : scan({});
+}
+
+// { items, pinned, total, ranges, errors }: ranges maps item ids to highlighted [start, end) spans
+// and errors lists the parts of the search that were ignored
+function queryHistory({ search, sourceApp, tag, offset, limit }) {
+  const { query, filter } = buildHistoryFilter({ search, sourceApp, tag });
+  if (!encryptionKey && !hasTextQuery(query)) {
+    return Object.assign(historyStore.query(Object.assign({ offset, limit }, filter)), { ranges: new Map(), errors: query.errors });
+  }
+
+  const { results, errors } = rankHistory({ search, sourceApp, tag });
+  const unpinned = results.filter(r => !r.pinned);
+  const shown = unpinned.slice(offset, offset + limit);
+  const pinned = offset === 0 ? results.filter(r => r.pinned) : [];
+  return {
+    items: historyStore.getMany(shown.map(r => r.id)),
+    pinned: historyStore.getMany(pinned.map(r => r.id)),
+    total: unpinned.length,
+    ranges: new Map(shown.concat(pinned).map(r => [r.id, r.ranges])),
+    errors
+  };
+}
+
+function searchHistoryIds({ search, sourceApp, tag }) {
+  const { query, filter } = buildHistoryFilter({ search, sourceApp, tag });
+  if (!encryptionKey && !hasTextQuery(query)) return historyStore.searchIds(filter);
+  return rankHistory({ search, sourceApp, tag }).results.map(r => r.id);
+}
+
+// Tell the overlay that history changed; it pulls the pages it needs via 'query-history'
+function sendHistoryToRenderer() {
+  searchResultCache = null;
+  prunePasteStack();
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('clipboard-updated');
+}
+
+// Detected kind of a text item with its badge label, e.g. { kind: 'url', label: 'URL' }
+function toRendererContentType(i) {
+  return i.contentType ? { kind: i.contentType, label: getKindLabel(i.contentType) } : null;
+}
+
+// Lightweight representation of a history item for the renderer
+function toRendererItem(i) {
+  if (i.type === 'file') {
+    return { type: 'file', id: i.id, files: i.files, source: i.source || null, tags: i.tags || [], pinned: !!i.pinned, timestamp: i.timestamp };
+  }
+
+  if (i.type === 'image') {
+    // Use lazy loading for thumbnails - send file path instead of base64
+    // Renderer will load thumbnails on demand
+    let thumbDataUrl = null;
+    if (i.thumbPath && fs.existsSync(i.thumbPath)) {
+      try {
+        // Only load thumbnail if it's WebP or small PNG, otherwise lazy load
+        const stats = fs.statSync(i.thumbPath);
+        if (stats.size < 50000 || i.thumbPath.endsWith('.webp')) { // Load small files or WebP immediately
+          const thumbBuffer = readStoredFile(i.thumbPath);
+          const format = i.thumbPath.endsWith('.webp') ? 'webp' : 'png';
+          thumbDataUrl = `data:image/${format};base64,${thumbBuffer.toString('base64')}`;
+        }
+        // Large PNGs stay null: the renderer lazy-loads them through 'load-thumbnail', which
+        // decrypts them (a file:// URL would point at encrypted bytes)
+      } catch (e) {
+        console.warn('[thumbnail] Failed to read thumbnail file:', e?.message || e);
+      }
+    }
+    return {
+      type: 'image',
+      id: i.id,
+      width: i.width,
+      height: i.height,
+      thumbDataUrl,
+      thumbPath: i.thumbPath, // Include path for lazy loading
+      hasText: !!i.ocrText,
+      source: i.source || null,
+      tags: i.tags || [],
+      pinned: !!i.pinned,
+      timestamp: i.timestamp
+    };
+  }
+
+  // Masked secrets never reach the renderer until revealed via 'reveal-item'
+  if (isMasked(i)) {
+    return { type: 'text', id: i.id, text: '', masked: true, sensitive: i.sensitive.rules, textLength: i.textLength || decompressText(i.text).length, expiresAt: i.expiresAt || null, rich: !!(i.html || i.rtf), source: i.source || null, tags: i.tags || [], pinned: !!i.pinned, timestamp: i.timestamp };
+  }
+
+  // Spilled texts only send their preview; the full body is restored by id on copy/paste
+  if (i.blobPath) {
+    return { type: 'text', id: i.id, text: i.text, textLength: i.textLength, isPreview: true, rich: !!(i.html || i.rtf), contentType: toRendererContentType(i), expiresAt: i.expiresAt || null, source: i.source || null, tags: i.tags || [], pinned: !!i.pinned, timestamp: i.timestamp };
+  }
+
+  // Decompress text before sending to renderer
+  const decompressedText = decompressText(i.text);
+  const out = { type: 'text', id: i.id, text: decompressedText, rich: !!(i.html || i.rtf), contentType: toRendererContentType(i), expiresAt: i.expiresAt || null, source: i.source || null, tags: i.tags || [], pinned: !!i.pinned, timestamp: i.timestamp };
+  if (i.contentType === 'color') out.color = colorFormats(decompressedText); // swatch and conversions
+  return out;
 }
 
 // Configure app to start minimized across all platforms
@@ -1266,13 +2752,20 @@ let tray = null;
 
 // App event handlers
 app.whenReady().then(() => {
+  if (cliCommand || !gotInstanceLock) return; // client run or duplicate launch: no windows
+
   // Configure app to start minimized before creating windows
   configureAppForMinimizedStartup();
 
   createWindow();
   tray = create_tray(); // Store reference to prevent GC
-  loadHistory();
-  monitorClipboard();
+  startPlugins().catch(e => console.warn('[plugins] Failed to start plugins:', e?.message || e));
+  startRpcServer();
+  if (initEncryption()) {
+    startHistory();
+  } else {
+    console.log('[encryption] History is locked; waiting for passphrase');
+  }
 
   // Start memory monitoring
   startMemoryMonitoring();
@@ -1330,50 +2823,176 @@ app.on('before-quit', () => {
   clearImageProcessingTimeouts();
   clearMemoryMonitoring();
   clearClipboardMonitoring();
+  pluginHost.stop();
+  ocrQueue.stop();
+  stopRpcServer();
+  if (historyStore) historyStore.close();
 });
 
-app.on('activate', () => {
-  // On macOS, show the window when the dock icon is clicked
-  if (process.platform === 'darwin' && mainWindow) {
-    sendHistoryToRenderer();
-    showOverlayWindows();
+app.on('activate', () => {
+  // On macOS, show the window when the dock icon is clicked
+  if (process.platform === 'darwin' && mainWindow) {
+    sendHistoryToRenderer();
+    showOverlayWindows();
+  }
+});
+
+app.on('will-quit', () => {
+  // Comprehensive cleanup on app quit
+  console.log('[cleanup] Starting comprehensive app cleanup...');
+
+  // Clear all timers and intervals
+  clearPendingPasteTimers();
+  clearImageProcessingTimeouts();
+  clearMemoryMonitoring();
+  clearClipboardMonitoring();
+
+  // Stop memory monitoring
+  stopMemoryMonitoring();
+
+  // Unregister all shortcuts
+  globalShortcut.unregisterAll();
+
+  console.log('[cleanup] Comprehensive app cleanup completed');
+});
+
+// Full text for a paste/copy request; items referenced by id are restored losslessly
+function resolvePayloadText(payload) {
+  if (typeof payload === 'string') return payload;
+  const item = findTextItem(payload);
+  return item ? getItemFullText(item) : payload.text;
+}
+
+function findTextItem(payload) {
+  if (!payload || typeof payload !== 'object' || !payload.id) return null;
+  return findHistoryItem(payload.id, 'text');
+}
+
+// Run a chain of built-in and plugin transforms; consecutive built-in steps run in one go
+async function transformText(text, ids) {
+  if (!Array.isArray(ids)) throw new Error('Transforms must be a list');
+  if (ids.length > MAX_CHAIN_LENGTH) throw new Error(`At most ${MAX_CHAIN_LENGTH} transforms can be chained`);
+
+  let result = String(text);
+  let builtins = [];
+  for (const id of ids) {
+    if (!isPluginTransform(id)) {
+      builtins.push(id);
+      continue;
+    }
+    result = applyTransforms(result, builtins);
+    builtins = [];
+    result = await pluginHost.transform(id, result);
+  }
+  return applyTransforms(result, builtins);
+}
+
+function hasTransforms(payload) {
+  return !!payload && typeof payload === 'object' && Array.isArray(payload.transforms) && payload.transforms.length > 0;
+}
+
+// Keep a transformed paste/copy in history as its own item, attributed to the original's source
+function saveTransformedText(text, item) {
+  let sensitive = detectSensitive(text, getSensitiveConfig());
+  if (sensitive && sensitive.action === 'skip') {
+    console.log('[transform] Not recording transformed text:', sensitive.rules.map(r => r.name).join(', '));
+    return;
+  }
+  // A transformed secret stays masked even when the new text no longer matches its rules
+  if (isMasked(item) && (!sensitive || sensitive.action !== 'mask')) {
+    const names = new Set((sensitive ? sensitive.rules.map(r => r.name) : []).concat(item.sensitive.rules));
+    sensitive = {
+      action: 'mask',
+      expire: !!(sensitive && sensitive.expire) || !!item.expiresAt,
+      rules: Array.from(names, name => ({ name }))
+    };
+  }
+  addToHistory({ type: 'text', text, sensitive, source: item && item.source });
+}
+
+// Write a text paste/copy request to the clipboard with every flavor the item was
+// captured with, or only the plain text when `payload.plainText` is set.
+// `payload.transforms` (a chain of transform ids) rewrites the text first and always writes
+// plain text, since the formatted flavors no longer match; `payload.saveAsNew` records the
+// result as a new history item. Rejects when a transform fails.
+async function writeTextPayload(payload) {
+  const item = findTextItem(payload);
+  let text = resolvePayloadText(payload) || '';
+  const transformed = hasTransforms(payload);
+  if (transformed) {
+    text = await transformText(text, payload.transforms);
+    if (payload.saveAsNew && text.trim() !== '') saveTransformedText(text, item);
+  }
+
+  const data = { text };
+  if (item && !payload.plainText && !transformed) {
+    if (item.html) data.html = decompressText(item.html);
+    if (item.rtf) data.rtf = decompressText(item.rtf);
+  }
+
+  if (data.html || data.rtf) {
+    clipboard.write(data);
+  } else {
+    clipboard.writeText(text);
   }
-});
 
-app.on('will-quit', () => {
-  // Comprehensive cleanup on app quit
-  console.log('[cleanup] Starting comprehensive app cleanup...');
+  // Our own write isn't a new copy; don't let the monitor re-capture it
+  lastClipboardSignature = `text:${text}`;
+  return text;
+}
 
-  // Clear all timers and intervals
-  clearPendingPasteTimers();
-  clearImageProcessingTimeouts();
-  clearMemoryMonitoring();
-  clearClipboardMonitoring();
+// Expand a snippet for pasting/copying and put the result on the clipboard.
+// Returns the expansion ({ text, cursorFromEnd }) or null when the snippet doesn't exist.
+function writeSnippetPayload(payload) {
+  const snippet = snippets.find(s => s.id === payload.id);
+  if (!snippet) return null;
 
-  // Stop memory monitoring
-  stopMemoryMonitoring();
+  const expanded = expandTemplate(snippet.body, {
+    clipboard: clipboard.readText(),
+    inputs: payload.inputs && typeof payload.inputs === 'object' ? payload.inputs : {}
+  });
+  clipboard.writeText(expanded.text);
+  lastClipboardSignature = `text:${expanded.text}`; // a pasted snippet isn't a new copy
+  return expanded;
+}
 
-  // Unregister all shortcuts
-  globalShortcut.unregisterAll();
+// Write a copied-files item back in its native file-list format
+async function writeFilePayload(payload) {
+  const fileItem = findHistoryItem(payload.id, 'file');
+  if (!fileItem) return false;
 
-  console.log('[cleanup] Comprehensive app cleanup completed');
-});
+  const paths = fileItem.files.map(f => f.path);
+  const ok = await writeClipboardFiles(paths, fileItem.fileFormat);
+  if (ok) lastClipboardSignature = fileItem.signature;
+  return ok;
+}
 
-// IPC handlers
-ipcMain.handle('paste-item', (event, payload) => {
+// Put an item on the clipboard, hide the overlay and paste it into the previously focused app.
+// Shared by the overlay and the automation API; resolves to false for unknown or invalid items.
+async function pasteItem(payload) {
   const isString = typeof payload === 'string';
   const isTextObj = payload && payload.type === 'text' && typeof payload.text === 'string';
   const isImageObj = payload && payload.type === 'image' && typeof payload.dataUrl === 'string';
   const isImageIdObj = payload && payload.type === 'image' && typeof payload.id === 'string';
+  const isFileIdObj = payload && payload.type === 'file' && typeof payload.id === 'string';
+  const isSnippetObj = payload && payload.type === 'snippet' && typeof payload.id === 'string';
 
-  if (!isString && !isTextObj && !isImageObj && !isImageIdObj) return false;
+  if (!isString && !isTextObj && !isImageObj && !isImageIdObj && !isFileIdObj && !isSnippetObj) return false;
 
+  let cursorFromEnd = 0;
   if (isString || isTextObj) {
-    let text = isString ? payload : payload.text;
-    console.log('Paste request received (text) with length:', text?.length);
-    // Apply text size limit for memory optimization
-    text = truncateText(text);
-    clipboard.writeText(text || '');
+    try {
+      const text = await writeTextPayload(payload);
+      console.log('Paste request received (text) with length:', text.length);
+    } catch (e) {
+      console.error('[paste] Failed to transform text', e?.message || e);
+      return false;
+    }
+  } else if (isSnippetObj) {
+    const expanded = writeSnippetPayload(payload);
+    if (!expanded) return false;
+    cursorFromEnd = expanded.cursorFromEnd;
+    console.log('Paste request received (snippet) with length:', expanded.text.length);
   } else if (isImageObj) {
     console.log('Paste request received (image by dataUrl)');
     try {
@@ -1385,16 +3004,24 @@ ipcMain.handle('paste-item', (event, payload) => {
     }
   } else if (isImageIdObj) {
     console.log('Paste request received (image by id)');
-    const imgItem = clipboardHistory.find(i => i.type === 'image' && i.id === payload.id);
+    const imgItem = findHistoryItem(payload.id, 'image');
     if (!imgItem || !imgItem.filePath) return false;
     try {
-      const buffer = fs.readFileSync(imgItem.filePath);
+      const buffer = readStoredFile(imgItem.filePath);
       const image = nativeImage.createFromBuffer(buffer);
       clipboard.writeImage(image);
     } catch (e) {
       console.error('[paste] Failed to read/write image by id', e?.message || e);
       return false;
     }
+  } else if (isFileIdObj) {
+    console.log('Paste request received (files by id)');
+    try {
+      if (!(await writeFilePayload(payload))) return false;
+    } catch (e) {
+      console.error('[paste] Failed to write files to clipboard', e?.message || e);
+      return false;
+    }
   }
   pasteSessionCompleted = false; // reset guard for new session
 
@@ -1407,75 +3034,462 @@ ipcMain.handle('paste-item', (event, payload) => {
   clearPendingPasteTimers();
 
   // Schedule multiple attempts
-  schedulePasteRetries();
+  schedulePasteRetries({ cursorFromEnd });
 
   return true;
-});
+}
 
-// Copy item to clipboard without pasting
-ipcMain.handle('copy-item', (event, payload) => {
+// Put an item on the clipboard without pasting
+async function copyItem(payload) {
   const isString = typeof payload === 'string';
   const isTextObj = payload && payload.type === 'text' && typeof payload.text === 'string';
   const isImageObj = payload && payload.type === 'image' && typeof payload.dataUrl === 'string';
   const isImageIdObj = payload && payload.type === 'image' && typeof payload.id === 'string';
+  const isFileIdObj = payload && payload.type === 'file' && typeof payload.id === 'string';
+  const isSnippetObj = payload && payload.type === 'snippet' && typeof payload.id === 'string';
 
-  if (!isString && !isTextObj && !isImageObj && !isImageIdObj) return false;
+  if (!isString && !isTextObj && !isImageObj && !isImageIdObj && !isFileIdObj && !isSnippetObj) return false;
 
   try {
     if (isString || isTextObj) {
-      let text = isString ? payload : payload.text;
-      // Apply text size limit for memory optimization
-      text = truncateText(text);
-      clipboard.writeText(text || '');
+      await writeTextPayload(payload);
       return true;
     }
+    if (isSnippetObj) {
+      return !!writeSnippetPayload(payload);
+    }
     if (isImageObj) {
       const image = nativeImage.createFromDataURL(payload.dataUrl);
       clipboard.writeImage(image);
       return true;
     }
     if (isImageIdObj) {
-      const imgItem = clipboardHistory.find(i => i.type === 'image' && i.id === payload.id);
+      const imgItem = findHistoryItem(payload.id, 'image');
       if (!imgItem || !imgItem.filePath) return false;
-      const buffer = fs.readFileSync(imgItem.filePath);
+      const buffer = readStoredFile(imgItem.filePath);
       const image = nativeImage.createFromBuffer(buffer);
       clipboard.writeImage(image);
       return true;
     }
+    if (isFileIdObj) {
+      return await writeFilePayload(payload);
+    }
   } catch (e) {
     console.error('[copy] Failed to write to clipboard', e?.message || e);
     return false;
   }
+}
+
+const PASTE_STACK_COOLDOWN = 900; // ms; the previous entry's keystroke retries must land first
+const PASTE_STACK_LABEL_LENGTH = 80;
+let pasteStackHotkey = null; // accelerator currently registered for "paste next"
+let lastStackPasteAt = 0;
+
+function getPasteStackOrder() {
+  return settings.pasteStackOrder === 'lifo' ? 'lifo' : 'fifo';
+}
+
+function isPasteStackInUse() {
+  return pasteStack.collecting || pasteStack.entries.length > 0;
+}
+
+// The paste-next hotkey is only held while the stack is in use, so other apps keep the
+// shortcut the rest of the time
+function syncPasteStackHotkey() {
+  const wanted = isPasteStackInUse() ? getPasteStackHotkey() : null;
+  if (wanted === pasteStackHotkey) return;
+  if (pasteStackHotkey) {
+    try { globalShortcut.unregister(pasteStackHotkey); } catch (_) {}
+    pasteStackHotkey = null;
+  }
+  if (!wanted) return;
+  try {
+    if (globalShortcut.register(wanted, () => pasteNextFromStack())) {
+      pasteStackHotkey = wanted;
+      console.log(`[stack] Registered paste-next hotkey: ${wanted}`);
+    } else {
+      console.warn(`[stack] Failed to register paste-next hotkey: ${wanted}`);
+    }
+  } catch (error) {
+    console.error(`[stack] Error registering paste-next hotkey ${wanted}:`, error);
+  }
+}
+
+// Short description of a queued item for the overlay; masked secrets stay hidden
+function toPasteStackEntry(i) {
+  let label;
+  if (i.type === 'image') {
+    label = `Image ${i.width}×${i.height}`;
+  } else if (i.type === 'file') {
+    label = i.files.map(f => path.basename(f.path)).join(', ');
+  } else if (isMasked(i)) {
+    label = `Secret (${i.textLength || decompressText(i.text).length} characters)`;
+  } else {
+    label = (i.blobPath ? i.text : decompressText(i.text)).slice(0, PASTE_STACK_LABEL_LENGTH * 2).replace(/\s+/g, ' ').trim();
+  }
+  return { id: i.id, type: i.type, label: label.slice(0, PASTE_STACK_LABEL_LENGTH) };
+}
+
+// History items for paste stack entries (each once; entries may repeat)
+function findQueuedItems(ids) {
+  return historyStore && ids.length ? historyStore.getMany(Array.from(new Set(ids))) : [];
+}
+
+// Queued entries in the order they will be pasted (next first)
+function getPasteStackState() {
+  const byId = new Map(findQueuedItems(pasteStack.entries).map(i => [i.id, i]));
+  const entries = pasteStack.entries.map(id => byId.get(id)).filter(Boolean).map(toPasteStackEntry);
+  return {
+    collecting: pasteStack.collecting,
+    order: getPasteStackOrder(),
+    hotkey: getPasteStackHotkey(),
+    hotkeyActive: pasteStackHotkey !== null,
+    entries: getPasteStackOrder() === 'lifo' ? entries.reverse() : entries
+  };
+}
+
+function notifyPasteStackChanged() {
+  syncPasteStackHotkey();
+  updateTrayStatus();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('paste-stack-updated', getPasteStackState());
+  }
+}
+
+// Drop entries whose item was deleted or trimmed from history
+function prunePasteStack() {
+  if (!pasteStack.entries.length) return;
+  const ids = new Set(findQueuedItems(pasteStack.entries).map(i => i.id));
+  const kept = pasteStack.entries.filter(id => ids.has(id));
+  if (kept.length === pasteStack.entries.length) return;
+  pasteStack.entries = kept;
+  notifyPasteStackChanged();
+}
+
+function setPasteStackCollecting(collecting) {
+  pasteStack.collecting = !!collecting;
+  console.log(`[stack] ${pasteStack.collecting ? 'Collecting' : 'Stopped collecting'} copies`);
+  notifyPasteStackChanged();
+}
+
+// Queue items at the end of the stack; the same item may be queued more than once
+function addToPasteStack(ids) {
+  const known = new Set(findQueuedItems([].concat(ids)).map(i => i.id));
+  const added = [].concat(ids).filter(id => known.has(id));
+  if (!added.length) return 0;
+  pasteStack.entries.push(...added);
+  console.log(`[stack] Queued ${added.length} item(s); ${pasteStack.entries.length} in the stack`);
+  notifyPasteStackChanged();
+  return added.length;
+}
+
+// Remove the entry at a position in paste order (see getPasteStackState)
+function removeFromPasteStack(position) {
+  const count = pasteStack.entries.length;
+  if (!Number.isInteger(position) || position < 0 || position >= count) return false;
+  pasteStack.entries.splice(getPasteStackOrder() === 'lifo' ? count - 1 - position : position, 1);
+  notifyPasteStackChanged();
+  return true;
+}
+
+function clearPasteStack() {
+  pasteStack.entries = [];
+  pasteStack.collecting = false;
+  console.log('[stack] Cleared');
+  notifyPasteStackChanged();
+}
+
+// Take the next entry off the stack and paste it into the focused app through pasteItem.
+// Presses that arrive while the previous entry is still being pasted are ignored, since a
+// new paste would cancel its pending keystrokes.
+async function pasteNextFromStack() {
+  if (Date.now() - lastStackPasteAt < PASTE_STACK_COOLDOWN) {
+    console.log('[stack] Still pasting the previous entry; ignoring');
+    return false;
+  }
+
+  while (pasteStack.entries.length) {
+    const lifo = getPasteStackOrder() === 'lifo';
+    const id = lifo ? pasteStack.entries.pop() : pasteStack.entries.shift();
+    const item = findHistoryItem(id);
+    if (!item) continue; // deleted since it was queued
+
+    lastStackPasteAt = Date.now();
+    const ok = await pasteItem(toItemPayload(item, {}));
+    // Image pastes aren't deduplicated against our own write; don't queue the entry again
+    if (ok && item.type === 'image' && item.signature) lastClipboardSignature = item.signature;
+    // A failed paste keeps the entry next in line so it can be tried again
+    if (!ok) {
+      if (lifo) pasteStack.entries.push(id);
+      else pasteStack.entries.unshift(id);
+    }
+    console.log(`[stack] ${ok ? 'Pasted' : 'Could not paste'} ${id}; ${pasteStack.entries.length} left`);
+    notifyPasteStackChanged();
+    return ok;
+  }
+
+  console.log('[stack] Nothing left to paste');
+  return false;
+}
+
+// IPC handlers
+ipcMain.handle('paste-item', (event, payload) => pasteItem(payload));
+
+// Copy item to clipboard without pasting
+ipcMain.handle('copy-item', (event, payload) => copyItem(payload));
+
+// Paste stack IPC; each returns the updated state (see getPasteStackState)
+ipcMain.handle('get-paste-stack', () => getPasteStackState());
+
+ipcMain.handle('set-paste-stack-collecting', (event, collecting) => {
+  if (!historyStore) return getPasteStackState();
+  setPasteStackCollecting(collecting);
+  return getPasteStackState();
+});
+
+ipcMain.handle('add-to-paste-stack', (event, ids) => {
+  if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) return getPasteStackState();
+  addToPasteStack(ids);
+  return getPasteStackState();
+});
+
+ipcMain.handle('remove-from-paste-stack', (event, position) => {
+  removeFromPasteStack(position);
+  return getPasteStackState();
+});
+
+ipcMain.handle('clear-paste-stack', () => {
+  clearPasteStack();
+  return getPasteStackState();
+});
+
+ipcMain.handle('paste-next-from-stack', () => pasteNextFromStack());
+
+// "Copy recognized text" on image rows
+ipcMain.handle('copy-recognized-text', (event, id) => {
+  const item = findHistoryItem(id, 'image');
+  if (!item || !item.ocrText) return false;
+  return copyItem({ type: 'text', text: item.ocrText });
+});
+
+// Transformations offered in the overlay's per-item menu
+ipcMain.handle('get-transforms', () => listTransforms().concat(pluginHost.listTransforms()));
+
+// Live preview of a transform chain on a text item; the result is capped so huge items
+// don't flood the overlay on every change of the chain
+const TRANSFORM_PREVIEW_LIMIT = 20000;
+ipcMain.handle('preview-transform', async (event, payload) => {
+  if (!payload || !Array.isArray(payload.transforms)) return { ok: false, error: 'Nothing to transform' };
+  const source = resolvePayloadText(payload);
+  if (typeof source !== 'string') return { ok: false, error: 'Item not found' };
+  try {
+    const text = await transformText(source, payload.transforms);
+    // Masked secrets stay hidden; the chain is still validated so errors show up
+    const item = findTextItem(payload);
+    if (item && isMasked(item)) return { ok: true, masked: true, text: '', length: text.length, truncated: false };
+    return {
+      ok: true,
+      text: text.slice(0, TRANSFORM_PREVIEW_LIMIT),
+      length: text.length,
+      truncated: text.length > TRANSFORM_PREVIEW_LIMIT
+    };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
 });
 
 ipcMain.handle('clear-history', () => {
   const beforeMemory = getMemoryUsage();
 
-  // Clean up all image and thumbnail files before clearing history
-  clipboardHistory.forEach(i => {
-    if (i.type === 'image') {
-      if (i.filePath) deleteFileQuiet(i.filePath);
-      if (i.thumbPath) deleteFileQuiet(i.thumbPath);
-    }
-  });
-
-  clipboardHistory = [];
-  // Clear all caches for optimized performance
-  textCache.clear();
-  imageCache.clear();
-  clipboardCache.clear();
-  store.delete('clipboardHistory');
+  // Clean up unpinned items, their files and all caches
+  clearHistory();
 
   // Log memory cleanup
   const afterMemory = getMemoryUsage();
   const memoryFreed = beforeMemory.heapUsed - afterMemory.heapUsed;
   console.log(`[memory] Cleared history: ${beforeMemory.heapUsed}MB -> ${afterMemory.heapUsed}MB (freed ${memoryFreed > 0 ? memoryFreed : 0}MB)`);
 
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('clipboard-updated', clipboardHistory);
+  sendHistoryToRenderer();
+});
+
+// Paged history for the overlay; pinned items come back separately with the first page
+ipcMain.handle('query-history', (event, params) => {
+  if (!historyStore) return { items: [], pinned: [], total: 0 };
+  const { search = '', sourceApp = '', tag = '', offset = 0, limit = HISTORY_PAGE_SIZE } = params || {};
+  try {
+    const page = queryHistory({
+      search,
+      sourceApp: typeof sourceApp === 'string' ? sourceApp : '',
+      tag: typeof tag === 'string' ? tag : '',
+      offset: Math.max(0, Math.floor(Number(offset) || 0)),
+      limit: Math.min(Math.max(1, Math.floor(Number(limit) || HISTORY_PAGE_SIZE)), 500)
+    });
+    // Matching snippets ride along with the first page, like pinned items
+    const withSnippets = !(Number(offset) > 0) && !sourceApp && !tag;
+    const render = i => {
+      const out = toRendererItem(i);
+      // Highlighted match spans, as offsets into the item's text
+      if (i.type === 'text' && !isMasked(i) && page.ranges.has(i.id)) out.matches = page.ranges.get(i.id);
+      return out;
+    };
+    return {
+      items: page.items.map(render),
+      pinned: page.pinned.map(render),
+      snippets: withSnippets ? searchSnippets(search).map(toRendererSnippet) : [],
+      total: page.total,
+      errors: page.errors
+    };
+  } catch (e) {
+    console.error('[history] Query failed', e?.message || e);
+    return { items: [], pinned: [], total: 0 };
+  }
+});
+
+ipcMain.handle('export-history', (event, options) => {
+  const search = options && typeof options.search === 'string' ? options.search.trim() : '';
+  const sourceApp = options && typeof options.sourceApp === 'string' ? options.sourceApp : '';
+  const tag = options && typeof options.tag === 'string' ? options.tag : '';
+  return exportHistoryWithDialog({ search, sourceApp, tag });
+});
+
+ipcMain.handle('get-source-apps', () => {
+  return listSourceApps();
+});
+
+ipcMain.handle('import-history', () => {
+  return importHistoryWithDialog();
+});
+
+ipcMain.handle('pin-item', (event, id) => {
+  return setItemPinned(id, true);
+});
+
+ipcMain.handle('unpin-item', (event, id) => {
+  return setItemPinned(id, false);
+});
+
+ipcMain.handle('delete-item', (event, id) => {
+  return typeof id === 'string' && deleteItems([id]) > 0;
+});
+
+// Full text of an item for the editor (the renderer only has previews of large texts).
+// Masked secrets can't be edited, so their text is never sent this way.
+ipcMain.handle('get-item-text', (event, id) => {
+  const item = findHistoryItem(id, 'text');
+  return item && !isMasked(item) ? getItemFullText(item) : null;
+});
+
+// Full content and metadata for the overlay's preview pane, loaded when an item is previewed.
+// Text is capped so a huge item doesn't stall the overlay; masked secrets only get metadata.
+const PREVIEW_TEXT_LIMIT = 200000;
+
+function buildItemPreview(item) {
+  const preview = { id: item.id, type: item.type, timestamp: item.timestamp, source: item.source || null };
+  if (item.type === 'text') {
+    const text = getItemFullText(item);
+    Object.assign(preview, { chars: text.length, lines: text.split('\n').length, bytes: Buffer.byteLength(text, 'utf8'), rich: !!(item.html || item.rtf) });
+    if (isMasked(item)) preview.masked = true;
+    else Object.assign(preview, { text: text.slice(0, PREVIEW_TEXT_LIMIT), truncated: text.length > PREVIEW_TEXT_LIMIT });
+  } else if (item.type === 'image') {
+    const buffer = readStoredFile(item.filePath);
+    Object.assign(preview, { width: item.width, height: item.height, bytes: buffer.length, dataUrl: `data:image/png;base64,${buffer.toString('base64')}` });
+    const recognizedText = getRecognizedText(item); // '' when OCR found a secret
+    if (recognizedText) preview.recognizedText = recognizedText;
+  } else if (item.type === 'file') {
+    preview.files = item.files;
+    preview.bytes = item.files.reduce((sum, f) => sum + (f.size || 0), 0);
+  }
+  return preview;
+}
+
+// Actions offered for detected content types: open a URL or compose an email, reveal a path
+// in the file manager, copy a JSON item pretty-printed
+function expandHomePath(value) {
+  return value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+}
+
+async function runContentAction(id, action) {
+  const item = findHistoryItem(id, 'text');
+  if (!item || isMasked(item)) return { ok: false, error: 'Item not found' };
+  const text = getItemFullText(item).trim();
+
+  if (action === 'open-url' && item.contentType === 'url') {
+    const url = normalizeUrl(text);
+    if (!/^(https?|ftp):\/\//i.test(url)) return { ok: false, error: 'Not a web address' };
+    await shell.openExternal(url);
+    hideOverlayWindows();
+    return { ok: true };
+  }
+  if (action === 'compose-email' && item.contentType === 'email') {
+    await shell.openExternal(text.toLowerCase().startsWith('mailto:') ? text : `mailto:${text}`);
+    hideOverlayWindows();
+    return { ok: true };
+  }
+  if (action === 'reveal-path' && item.contentType === 'path') {
+    // POSIX paths may escape spaces with a backslash (see content-types.js)
+    const target = path.resolve(expandHomePath(/^[~.\/]/.test(text) ? text.replace(/\\(.)/g, '$1') : text));
+    if (!fs.existsSync(target)) return { ok: false, error: 'That path does not exist on this computer' };
+    shell.showItemInFolder(target);
+    return { ok: true };
+  }
+  if (action === 'format-json' && item.contentType === 'json') {
+    const ok = await copyItem({ type: 'text', id: item.id, text: '', transforms: ['json-pretty'] });
+    return ok ? { ok: true, message: 'Formatted JSON copied' } : { ok: false, error: 'Could not format the JSON' };
+  }
+  return { ok: false, error: 'This action does not apply to the item' };
+}
+
+ipcMain.handle('run-content-action', async (event, id, action) => {
+  try {
+    return await runContentAction(id, action);
+  } catch (e) {
+    console.warn('[content] Action failed', action, e?.message || e);
+    return { ok: false, error: e?.message || String(e) };
+  }
+});
+
+ipcMain.handle('get-item-preview', (event, id) => {
+  const item = findHistoryItem(id);
+  if (!item) return { ok: false, error: 'Item not found' };
+  try {
+    return { ok: true, preview: buildItemPreview(item) };
+  } catch (e) {
+    console.warn('[preview] Failed to load item', e?.message || e);
+    return { ok: false, error: 'Could not load this item' };
+  }
+});
+
+ipcMain.handle('edit-item', (event, id, text) => {
+  return editTextItem(id, text);
+});
+
+ipcMain.handle('set-item-tags', (event, id, tags) => {
+  return setItemTags(id, Array.isArray(tags) ? tags : []);
+});
+
+ipcMain.handle('get-tags', () => {
+  return listTags();
+});
+
+// Snippet library IPC handlers
+ipcMain.handle('get-snippets', () => {
+  return snippets.map(toRendererSnippet);
+});
+
+ipcMain.handle('save-snippet', (event, snippet) => {
+  if (!historyStore) return { ok: false, error: 'History is locked' };
+  try {
+    return { ok: true, snippet: toRendererSnippet(saveSnippet(snippet)) };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
   }
 });
 
+ipcMain.handle('delete-snippet', (event, id) => {
+  if (!historyStore) return false;
+  return deleteSnippet(id);
+});
+
 ipcMain.handle('get-platform', () => {
     return process.platform;
   });
@@ -1508,8 +3522,17 @@ ipcMain.handle('get-settings', () => {
 ipcMain.handle('update-settings', (event, partial) => {
   if (!partial || typeof partial !== 'object') return settings;
   const prevHotkey = getEffectiveHotkey();
+  const prevAutomationApi = settings.automationApi;
+  const prevOcr = settings.ocr;
+  const prevPasteStack = `${getPasteStackHotkey()} ${getPasteStackOrder()}`;
   settings = Object.assign({}, settings, partial);
   store.set('settings', settings);
+  if (settings.automationApi !== prevAutomationApi) startRpcServer();
+  if (settings.ocr !== prevOcr) {
+    if (settings.ocr === false) ocrQueue.stop();
+    else queueMissingOcr();
+  }
+  if (`${getPasteStackHotkey()} ${getPasteStackOrder()}` !== prevPasteStack) notifyPasteStackChanged();
 
   // Re-register hotkey if changed
   const newHotkey = getEffectiveHotkey();
@@ -1571,11 +3594,9 @@ ipcMain.handle('update-settings', (event, partial) => {
     }
   }
 
-  // Trim history if max reduced
-  if (clipboardHistory.length > getMaxHistory()) {
-    const toRemove = clipboardHistory.slice(getMaxHistory());
-    toRemove.forEach(i => { if (i.type === 'image' && i.filePath) deleteFileQuiet(i.filePath); });
-    clipboardHistory = clipboardHistory.slice(0, getMaxHistory());
+  // Trim history if max reduced (locked history is trimmed by its next capture)
+  if (historyStore && trimHistory(getMaxHistory()).length > 0) {
+    sendHistoryToRenderer();
   }
 
   return settings;
@@ -1592,7 +3613,7 @@ ipcMain.handle('load-thumbnail', async (event, thumbPath) => {
       return null;
     }
 
-    const thumbBuffer = fs.readFileSync(thumbPath);
+    const thumbBuffer = readStoredFile(thumbPath);
     const format = thumbPath.endsWith('.webp') ? 'webp' : 'png';
     return `data:image/${format};base64,${thumbBuffer.toString('base64')}`;
   } catch (error) {
@@ -1601,6 +3622,241 @@ ipcMain.handle('load-thumbnail', async (event, thumbPath) => {
   }
 });
 
+// System icon for a copied file, loaded lazily by the overlay
+ipcMain.handle('load-file-icon', async (event, filePath) => {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    const icon = await app.getFileIcon(filePath, { size: 'small' });
+    return icon.isEmpty() ? null : icon.toDataURL();
+  } catch (error) {
+    console.warn('[files] Failed to load file icon:', error.message);
+    return null;
+  }
+});
+
+// Sensitive content IPC handlers
+ipcMain.handle('get-sensitive-rules', () => {
+  return getBuiltinRules();
+});
+
+// Text of a masked item, shown in the overlay only after the user asks for it
+ipcMain.handle('reveal-item', (event, id) => {
+  const item = findHistoryItem(id, 'text');
+  if (!item) return null;
+  return item.blobPath ? item.text : decompressText(item.text);
+});
+
+// Automation API (see rpc-server.js); methods reuse the functions behind the IPC handlers
+let rpcServer = null;
+const RPC_PREVIEW_LENGTH = 200;
+
+function getRpcTokenPath() {
+  return path.join(app.getPath('userData'), 'rpc-token');
+}
+
+// Summary of an item for list/search results and capture events; masked secrets have no preview
+function toRpcItem(i) {
+  const out = { id: i.id, type: i.type, timestamp: i.timestamp, pinned: !!i.pinned, tags: i.tags || [], source: i.source || null };
+  if (i.type === 'text') {
+    out.masked = isMasked(i);
+    out.length = i.textLength || decompressText(i.text).length;
+    out.preview = out.masked ? '' : (i.blobPath ? i.text : decompressText(i.text)).slice(0, RPC_PREVIEW_LENGTH);
+  } else if (i.type === 'image') {
+    Object.assign(out, { width: i.width, height: i.height });
+  } else if (i.type === 'file') {
+    out.paths = i.files.map(f => f.path);
+  }
+  return out;
+}
+
+function requireRpcItem(params) {
+  if (historyLocked) throw new RpcError(RPC_ERRORS.INTERNAL, 'History is locked');
+  const id = params && params.id;
+  if (typeof id !== 'string') throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'id must be a string');
+  const item = findHistoryItem(id);
+  if (!item) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `No item with id ${id}`);
+  return item;
+}
+
+// Payload for pasteItem/copyItem referring to a stored item
+function toItemPayload(item, params) {
+  if (item.type !== 'text') return { type: item.type, id: item.id };
+  return { type: 'text', id: item.id, text: '', plainText: !!params.plainText, transforms: Array.isArray(params.transforms) ? params.transforms : undefined };
+}
+
+function rpcList(params) {
+  if (historyLocked) throw new RpcError(RPC_ERRORS.INTERNAL, 'History is locked');
+  const filters = {
+    search: typeof params.search === 'string' ? params.search : '',
+    sourceApp: typeof params.sourceApp === 'string' ? params.sourceApp : '',
+    tag: typeof params.tag === 'string' ? params.tag : ''
+  };
+  const offset = Math.max(0, Math.floor(Number(params.offset) || 0));
+  const limit = Math.min(Math.max(1, Math.floor(Number(params.limit) || HISTORY_PAGE_SIZE)), 500);
+  const first = queryHistory(Object.assign({ offset: 0, limit }, filters));
+  if (first.errors.length) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, first.errors.join('; '));
+
+  // Overlay order: pinned items first, then the newest. Unlike the overlay, offset, limit and
+  // total count both, so a client paging by offset sees each item once.
+  const pinned = first.pinned.slice(offset, offset + limit);
+  const start = Math.max(0, offset - first.pinned.length);
+  const count = limit - pinned.length;
+  let items = [];
+  if (count > 0 && start < first.total) {
+    items = start === 0 ? first.items.slice(0, count) : queryHistory(Object.assign({ offset: start, limit: count }, filters)).items;
+  }
+  return { items: pinned.concat(items).map(toRpcItem), total: first.pinned.length + first.total };
+}
+
+const RPC_METHODS = {
+  list: params => rpcList(params),
+  search: params => {
+    if (typeof params.query !== 'string') throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'query must be a string');
+    return rpcList(Object.assign({}, params, { search: params.query }));
+  },
+  // Full content: text (with html/rtf when present), image as base64 PNG, or file paths
+  get: params => {
+    const item = requireRpcItem(params);
+    const out = toRpcItem(item);
+    delete out.preview;
+    if (item.type === 'text') {
+      out.text = getItemFullText(item);
+      if (item.html) out.html = decompressText(item.html);
+      if (item.rtf) out.rtf = decompressText(item.rtf);
+    } else if (item.type === 'image') {
+      out.png = readStoredFile(item.filePath).toString('base64');
+    }
+    return out;
+  },
+  add: params => {
+    if (historyLocked) throw new RpcError(RPC_ERRORS.INTERNAL, 'History is locked');
+    if (typeof params.text !== 'string' || params.text.trim() === '') throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'text must be a non-empty string');
+    const sensitive = detectSensitive(params.text, getSensitiveConfig());
+    if (sensitive && sensitive.action === 'skip') {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Not recorded: ${sensitive.rules.map(r => r.name).join(', ')}`);
+    }
+    addToHistory({ type: 'text', text: params.text, sensitive, tags: Array.isArray(params.tags) ? params.tags : undefined, source: { app: 'API' } });
+    const item = findCapturedItem({ type: 'text', text: params.text });
+    return item ? toRpcItem(item) : null;
+  },
+  copy: async params => ({ ok: await copyItem(toItemPayload(requireRpcItem(params), params)) }),
+  paste: async params => ({ ok: await pasteItem(toItemPayload(requireRpcItem(params), params)) }),
+  clear: () => {
+    if (historyLocked) throw new RpcError(RPC_ERRORS.INTERNAL, 'History is locked');
+    clearHistory();
+    sendHistoryToRenderer();
+    return { ok: true };
+  },
+  show: () => {
+    openOverlay();
+    return { ok: true };
+  },
+  delete: params => {
+    if (historyLocked) throw new RpcError(RPC_ERRORS.INTERNAL, 'History is locked');
+    const ids = Array.isArray(params.ids) ? params.ids : [params.id];
+    if (!ids.every(id => typeof id === 'string')) throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'ids must be strings');
+    return { deleted: deleteItems(ids) };
+  }
+};
+
+async function startRpcServer() {
+  stopRpcServer();
+  if (settings.automationApi === false) return;
+  try {
+    const server = new RpcServer({
+      socketPath: getSocketPath(app.getPath('userData')),
+      token: loadOrCreateToken(getRpcTokenPath()),
+      methods: RPC_METHODS
+    });
+    await server.start();
+    rpcServer = server;
+  } catch (e) {
+    console.warn('[rpc] Automation API not available:', e?.message || e);
+  }
+}
+
+function stopRpcServer() {
+  if (!rpcServer) return;
+  rpcServer.stop();
+  rpcServer = null;
+}
+
+// Plugin IPC handlers
+ipcMain.handle('get-plugins', () => {
+  return { dir: getPluginsDir(), plugins: pluginHost.list() };
+});
+
+ipcMain.handle('set-plugin-enabled', async (event, id, enabled) => {
+  if (typeof id !== 'string') return pluginHost.list();
+  const disabled = getDisabledPlugins().filter(p => p !== id);
+  if (!enabled) disabled.push(id);
+  settings = Object.assign({}, settings, { disabledPlugins: disabled });
+  store.set('settings', settings);
+  await startPlugins();
+  return pluginHost.list();
+});
+
+ipcMain.handle('reload-plugins', async () => {
+  await startPlugins();
+  return pluginHost.list();
+});
+
+ipcMain.handle('open-plugins-folder', () => {
+  fs.mkdirSync(getPluginsDir(), { recursive: true });
+  return shell.openPath(getPluginsDir());
+});
+
+ipcMain.handle('get-plugin-actions', () => pluginHost.listActions());
+
+ipcMain.handle('run-plugin-action', (event, actionId, itemId) => {
+  if (typeof actionId !== 'string' || typeof itemId !== 'string') return { ok: false, error: 'Invalid action' };
+  return runPluginAction(actionId, itemId);
+});
+
+// Encryption IPC handlers
+ipcMain.handle('get-encryption-status', () => {
+  return getEncryptionStatus();
+});
+
+ipcMain.handle('unlock-history', (event, passphrase) => {
+  return unlockHistory(passphrase);
+});
+
+ipcMain.handle('retry-keyring-unlock', () => {
+  return retryKeyringUnlock();
+});
+
+ipcMain.handle('reset-locked-history', async () => {
+  try {
+    return await resetLockedHistory();
+  } catch (e) {
+    console.error('[encryption] Failed to reset locked history', e?.message || e);
+    return false;
+  }
+});
+
+ipcMain.handle('enable-encryption', (event, options) => {
+  try {
+    enableEncryption(options);
+    sendHistoryToRenderer();
+    return { ok: true, status: getEncryptionStatus() };
+  } catch (e) {
+    console.error('[encryption] Failed to enable', e?.message || e);
+    return { ok: false, error: e?.message || String(e), status: getEncryptionStatus() };
+  }
+});
+
+ipcMain.handle('disable-encryption', () => {
+  try {
+    disableEncryption();
+    sendHistoryToRenderer();
+    return { ok: true, status: getEncryptionStatus() };
+  } catch (e) {
+    console.error('[encryption] Failed to disable', e?.message || e);
+    return { ok: false, error: e?.message || String(e), status: getEncryptionStatus() };
+  }
+});
+
 // Memory monitoring IPC handlers
 ipcMain.handle('get-memory-usage', () => {
   return getMemoryUsage();
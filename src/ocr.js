@@ -0,0 +1,128 @@
+// Offline text recognition for image items. tesseract.js runs the engine in its own worker
+// thread, and the English model ships with the app (@tesseract.js-data/eng), so images never
+// leave the machine and nothing is downloaded. Images are recognized one at a time, newest
+// first; the engine starts on demand and is shut down again when the queue stays empty.
+
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+
+const IDLE_TIMEOUT = 60000; // ms without work before the engine (~100 MB) is released
+const RECOGNIZE_TIMEOUT = 60000; // ms per image; a stuck engine is replaced
+const MIN_CONFIDENCE = 40; // mean word confidence (0-100) below which the result is noise
+const MAX_TEXT_LENGTH = 20000; // characters kept per image
+
+// Directory with eng.traineddata.gz, outside the asar archive so the worker thread can read it
+function getLanguageDir() {
+  const dir = path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+  return dir.replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+}
+
+// Collapse OCR output into plain lines: no trailing spaces, at most one blank line in a row
+function cleanText(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+class OcrQueue {
+  // load(id) → image Buffer, or null when the item is gone; onResult(id, text) with '' when
+  // nothing legible was found or recognition failed, so the image isn't queued again.
+  constructor({ load, onResult }) {
+    this.load = load;
+    this.onResult = onResult;
+    this.queue = [];
+    this.worker = null;
+    this.running = false;
+    this.idleTimer = null;
+  }
+
+  // Queue item ids; the most recently added run first since they're the likeliest to be searched
+  add(ids) {
+    const fresh = [].concat(ids).filter(id => !this.queue.includes(id));
+    if (!fresh.length) return;
+    this.queue.unshift(...fresh);
+    this.run();
+  }
+
+  // Drop pending work and release the engine
+  stop() {
+    this.queue = [];
+    clearTimeout(this.idleTimer);
+    this.terminate();
+  }
+
+  async getWorker() {
+    if (!this.worker) {
+      const pending = createWorker('eng', OEM.LSTM_ONLY, {
+        langPath: getLanguageDir(),
+        gzip: true,
+        cacheMethod: 'none', // the bundled model is read in place; nothing is written or fetched
+        errorHandler: e => console.warn('[ocr] Engine error:', e?.message || e)
+      });
+      pending.catch(() => {
+        if (this.worker === pending) this.worker = null;
+      });
+      this.worker = pending;
+    }
+    return this.worker;
+  }
+
+  terminate() {
+    const worker = this.worker;
+    this.worker = null;
+    if (worker) worker.then(w => w.terminate()).catch(() => {});
+  }
+
+  async recognize(image) {
+    const worker = await this.getWorker();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Recognition timed out')), RECOGNIZE_TIMEOUT);
+    });
+    try {
+      const { data } = await Promise.race([worker.recognize(image), timeout]);
+      return data.confidence >= MIN_CONFIDENCE ? cleanText(data.text) : '';
+    } catch (e) {
+      this.terminate(); // the engine may still be busy with this image
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+    clearTimeout(this.idleTimer);
+
+    while (this.queue.length) {
+      const id = this.queue.shift();
+      let image = null;
+      try {
+        image = this.load(id);
+      } catch (e) {
+        console.warn(`[ocr] Could not read image ${id}:`, e?.message || e);
+      }
+      if (!image) continue;
+
+      const started = Date.now();
+      try {
+        const text = await this.recognize(image);
+        console.log(`[ocr] ${id}: ${text.length} characters in ${Date.now() - started}ms`);
+        this.onResult(id, text);
+      } catch (e) {
+        console.warn(`[ocr] ${id} failed:`, e?.message || e);
+        this.onResult(id, '');
+      }
+    }
+
+    this.running = false;
+    this.idleTimer = setTimeout(() => this.terminate(), IDLE_TIMEOUT);
+  }
+}
+
+module.exports = { OcrQueue };
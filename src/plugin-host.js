@@ -0,0 +1,183 @@
+// Main-process side of the plugin system: runs plugin-worker.js in an Electron utility
+// process and calls into it with timeouts. Every failure (plugin error, timeout, crashed
+// runtime) resolves to "no change" for capture hooks, so capture never depends on plugins.
+
+const path = require('path');
+const { utilityProcess } = require('electron');
+
+const CAPTURE_TIMEOUT = 1000; // ms; capture waits on plugins, so keep this short
+const CALL_TIMEOUT = 5000; // ms for transforms and actions the user triggered
+const MAX_RESTARTS = 3; // per RESTART_WINDOW; after that plugins stay off until reloaded
+const RESTART_WINDOW = 60000;
+
+class PluginHost {
+  constructor() {
+    this.child = null;
+    this.dir = null;
+    this.disabled = [];
+    this.plugins = [];
+    this.pending = new Map();
+    this.nextId = 1;
+    this.restarts = [];
+    this.ready = null;
+  }
+
+  // (Re)start the runtime with the plugins in `dir`, skipping the ids in `disabled`
+  start(dir, disabled = []) {
+    this.stop();
+    this.dir = dir;
+    this.disabled = disabled.slice();
+    this.restarts = [];
+    return this.spawn();
+  }
+
+  spawn() {
+    const child = utilityProcess.fork(path.join(__dirname, 'plugin-worker.js'), [], {
+      serviceName: 'Clipboard Plugins',
+      stdio: 'inherit'
+    });
+    this.child = child;
+
+    this.ready = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        console.warn('[plugins] Plugin runtime did not finish loading in time');
+        resolve();
+      }, CALL_TIMEOUT);
+
+      child.on('message', msg => {
+        if (msg && msg.type === 'loaded') {
+          clearTimeout(timer);
+          this.plugins = msg.plugins || [];
+          console.log(`[plugins] ${this.plugins.filter(p => p.enabled && !p.error).length} of ${this.plugins.length} plugins active`);
+          resolve();
+          return;
+        }
+        this.settle(msg);
+      });
+
+      child.on('exit', code => {
+        clearTimeout(timer);
+        resolve();
+        if (this.child !== child) return; // stopped or replaced on purpose
+        console.warn(`[plugins] Plugin runtime exited with code ${code}`);
+        this.child = null;
+        this.rejectPending(new Error('Plugin runtime exited'));
+        this.restartAfterCrash();
+      });
+    });
+
+    child.postMessage({ type: 'load', dir: this.dir, disabled: this.disabled });
+    return this.ready;
+  }
+
+  restartAfterCrash() {
+    const now = Date.now();
+    this.restarts = this.restarts.filter(t => now - t < RESTART_WINDOW);
+    if (this.restarts.length >= MAX_RESTARTS) {
+      console.warn('[plugins] Plugin runtime keeps failing; plugins are off until reloaded');
+      this.plugins = this.plugins.map(p => Object.assign({}, p, { error: p.error || 'Plugin runtime crashed repeatedly' }));
+      return;
+    }
+    this.restarts.push(now);
+    this.spawn();
+  }
+
+  stop() {
+    const child = this.child;
+    this.child = null;
+    this.rejectPending(new Error('Plugin runtime stopped'));
+    if (child) {
+      try { child.kill(); } catch (_) {}
+    }
+  }
+
+  settle(msg) {
+    const entry = msg && this.pending.get(msg.id);
+    if (!entry) return;
+    this.pending.delete(msg.id);
+    clearTimeout(entry.timer);
+    if (msg.ok) entry.resolve(msg.result);
+    else entry.reject(new Error(msg.error || 'Plugin call failed'));
+  }
+
+  rejectPending(err) {
+    this.pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(err);
+    });
+    this.pending.clear();
+  }
+
+  // Send a request to the runtime; a timeout restarts it since a hung plugin blocks every later call
+  async call(type, payload, timeout) {
+    await this.ready;
+    if (!this.child) throw new Error('Plugins are not running');
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Plugin ${type} timed out`));
+        const child = this.child;
+        if (child) {
+          console.warn(`[plugins] ${type} hook timed out; restarting plugin runtime`);
+          try { child.kill(); } catch (_) {} // the exit handler restarts it
+        }
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.child.postMessage(Object.assign({ id, type }, payload));
+    });
+  }
+
+  list() {
+    return this.plugins;
+  }
+
+  activePlugins() {
+    return this.child ? this.plugins.filter(p => p.enabled && !p.error) : [];
+  }
+
+  hasCaptureHooks() {
+    return this.activePlugins().some(p => p.captureHooks > 0);
+  }
+
+  // Transforms as { id: 'plugin:<pluginId>:<transformId>', name } for the transform menu
+  listTransforms() {
+    return this.activePlugins().flatMap(p => p.transforms.map(t => ({ id: `plugin:${p.id}:${t.id}`, name: `${t.name} (${p.name})` })));
+  }
+
+  // Actions as { id: '<pluginId>:<actionId>', name, icon, types } for item buttons
+  listActions() {
+    return this.activePlugins().flatMap(p => p.actions.map(a => Object.assign({}, a, { id: `${p.id}:${a.id}`, name: `${a.name} (${p.name})` })));
+  }
+
+  // Resolves to { item } (possibly modified, or null when a plugin dropped it). Never rejects.
+  async runCapture(item) {
+    try {
+      const result = await this.call('capture', { item }, CAPTURE_TIMEOUT);
+      (result.errors || []).forEach(e => console.warn(`[plugins] ${e.pluginId} capture hook failed:`, e.message));
+      if (result.item === null) console.log(`[plugins] ${result.droppedBy} dropped a ${item.type} capture`);
+      return { item: result.item };
+    } catch (e) {
+      console.warn('[plugins] Capture hooks skipped:', e?.message || e);
+      return { item };
+    }
+  }
+
+  transform(id, text) {
+    const [, pluginId, transformId] = String(id).match(/^plugin:([^:]+):(.+)$/) || [];
+    if (!pluginId) return Promise.reject(new Error(`Unknown transform: ${id}`));
+    return this.call('transform', { pluginId, transformId, text }, CALL_TIMEOUT);
+  }
+
+  runAction(id, item) {
+    const [, pluginId, actionId] = String(id).match(/^([^:]+):(.+)$/) || [];
+    if (!pluginId) return Promise.reject(new Error(`Unknown action: ${id}`));
+    return this.call('action', { pluginId, actionId, item }, CALL_TIMEOUT);
+  }
+}
+
+function isPluginTransform(id) {
+  return typeof id === 'string' && id.startsWith('plugin:');
+}
+
+module.exports = { PluginHost, isPluginTransform };
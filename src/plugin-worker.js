@@ -0,0 +1,213 @@
+// Plugin runtime: runs in an Electron utility process (started by plugin-host.js) so plugins
+// never share the renderer and a crashing or hanging plugin can't take the app down.
+//
+// A plugin is a .js file or a directory with an index.js / package.json "main" inside the
+// plugins folder. It exports `setup(api)` (or `{ name, description, setup(api) }`) and
+// registers hooks with the api:
+//   api.onCapture(fn)              fn(item) before an item is recorded; return the (modified)
+//                                  item, null to drop it, or undefined to leave it unchanged
+//   api.addTransform({ id, name, apply(text) })        extra entry in the transform menu
+//   api.addAction({ id, name, icon, types, run(item) }) extra button on matching items;
+//                                  run may return { copy, paste, open, message }
+//   api.log(...args)
+// Hooks may be async. Each one is wrapped so a throwing plugin only loses its own work.
+
+const fs = require('fs');
+const path = require('path');
+
+const plugins = []; // { id, name, description, version, enabled, error, captureHooks, transforms, actions }
+
+function send(message) {
+  process.parentPort.postMessage(message);
+}
+
+function errorMessage(e) {
+  return e && e.message ? e.message : String(e);
+}
+
+function describeError(plugin, e) {
+  console.warn(`[plugins] ${plugin.id}:`, errorMessage(e));
+  return { pluginId: plugin.id, message: errorMessage(e) };
+}
+
+// Plugin ids are file names without .js, or directory names
+function discoverPlugins(dir) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_) {
+    return [];
+  }
+  return entries
+    .filter(e => (e.isFile() && e.name.endsWith('.js')) || e.isDirectory())
+    .map(e => ({ id: e.isFile() ? e.name.slice(0, -3) : e.name, entry: path.join(dir, e.name), isDirectory: e.isDirectory() }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function readPackageInfo(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+function createApi(plugin) {
+  return {
+    onCapture(fn) {
+      if (typeof fn === 'function') plugin.captureHooks.push(fn);
+    },
+    addTransform({ id, name, apply } = {}) {
+      if (!id || typeof apply !== 'function') throw new Error('addTransform needs an id and an apply function');
+      plugin.transforms.push({ id: String(id), name: String(name || id), apply });
+    },
+    addAction({ id, name, icon, types, run } = {}) {
+      if (!id || typeof run !== 'function') throw new Error('addAction needs an id and a run function');
+      plugin.actions.push({
+        id: String(id),
+        name: String(name || id),
+        icon: String(icon || '⚡').slice(0, 2),
+        types: Array.isArray(types) && types.length ? types.map(String) : ['text'],
+        run
+      });
+    },
+    log(...args) {
+      console.log(`[plugin:${plugin.id}]`, ...args);
+    }
+  };
+}
+
+async function loadPlugins(dir, disabled) {
+  for (const found of discoverPlugins(dir)) {
+    const pkg = found.isDirectory ? readPackageInfo(found.entry) : {};
+    const plugin = {
+      id: found.id,
+      name: pkg.name || found.id,
+      description: pkg.description || '',
+      version: pkg.version || '',
+      enabled: !disabled.includes(found.id),
+      error: null,
+      captureHooks: [],
+      transforms: [],
+      actions: []
+    };
+    plugins.push(plugin);
+    if (!plugin.enabled) continue;
+
+    try {
+      const exported = require(found.entry);
+      const setup = typeof exported === 'function' ? exported : exported && exported.setup;
+      if (typeof setup !== 'function') throw new Error('Plugin must export setup(api)');
+      if (exported.name) plugin.name = String(exported.name);
+      if (exported.description) plugin.description = String(exported.description);
+      await setup(createApi(plugin));
+      console.log(`[plugins] Loaded ${plugin.id}`);
+    } catch (e) {
+      plugin.error = describeError(plugin, e).message;
+      plugin.captureHooks = [];
+      plugin.transforms = [];
+      plugin.actions = [];
+    }
+  }
+}
+
+function describePlugins() {
+  return plugins.map(p => ({
+    id: p.id,
+    name: p.name,
+    description: p.description,
+    version: p.version,
+    enabled: p.enabled,
+    error: p.error,
+    captureHooks: p.captureHooks.length,
+    transforms: p.transforms.map(t => ({ id: t.id, name: t.name })),
+    actions: p.actions.map(a => ({ id: a.id, name: a.name, icon: a.icon, types: a.types }))
+  }));
+}
+
+// A capture hook may only change what the app can store for that item type
+function acceptCaptureResult(item, result) {
+  if (result === undefined) return item;
+  if (result === null) return null;
+  if (typeof result !== 'object') throw new Error('onCapture must return an item, null or undefined');
+  const next = Object.assign({}, item);
+  if (item.type === 'text' && result.text !== undefined) {
+    if (typeof result.text !== 'string' || result.text.trim() === '') throw new Error('Captured text must be a non-empty string');
+    next.text = result.text;
+  }
+  if (result.tags !== undefined) {
+    if (!Array.isArray(result.tags)) throw new Error('tags must be an array');
+    next.tags = result.tags.map(String);
+  }
+  return next;
+}
+
+async function runCapture(item) {
+  const errors = [];
+  let current = item;
+  for (const plugin of plugins) {
+    for (const hook of plugin.captureHooks) {
+      try {
+        current = acceptCaptureResult(current, await hook(Object.assign({}, current)));
+      } catch (e) {
+        errors.push(describeError(plugin, e));
+        continue;
+      }
+      if (current === null) return { item: null, droppedBy: plugin.id, errors };
+    }
+  }
+  return { item: current, errors };
+}
+
+function findPlugin(id) {
+  const plugin = plugins.find(p => p.id === id && p.enabled && !p.error);
+  if (!plugin) throw new Error(`Plugin not loaded: ${id}`);
+  return plugin;
+}
+
+async function runTransform({ pluginId, transformId, text }) {
+  const transform = findPlugin(pluginId).transforms.find(t => t.id === transformId);
+  if (!transform) throw new Error(`Unknown transform: ${pluginId}:${transformId}`);
+  const result = await transform.apply(text);
+  if (typeof result !== 'string') throw new Error(`${transform.name} did not return text`);
+  return result;
+}
+
+async function runAction({ pluginId, actionId, item }) {
+  const action = findPlugin(pluginId).actions.find(a => a.id === actionId);
+  if (!action) throw new Error(`Unknown action: ${pluginId}:${actionId}`);
+  const result = await action.run(item);
+  if (!result || typeof result !== 'object') return {};
+  const out = {};
+  ['copy', 'paste', 'open', 'message'].forEach(key => {
+    if (typeof result[key] === 'string') out[key] = result[key];
+  });
+  return out;
+}
+
+const handlers = {
+  capture: msg => runCapture(msg.item),
+  transform: msg => runTransform(msg),
+  action: msg => runAction(msg)
+};
+
+process.parentPort.on('message', async (event) => {
+  const msg = event.data || {};
+  if (msg.type === 'load') {
+    await loadPlugins(msg.dir, msg.disabled || []);
+    send({ type: 'loaded', plugins: describePlugins() });
+    return;
+  }
+
+  const handler = handlers[msg.type];
+  if (!handler) return;
+  try {
+    send({ id: msg.id, ok: true, result: await handler(msg) });
+  } catch (e) {
+    send({ id: msg.id, ok: false, error: errorMessage(e) });
+  }
+});
+
+// A plugin's stray rejection or exception must not end the runtime
+process.on('unhandledRejection', e => console.warn('[plugins] Unhandled rejection:', errorMessage(e)));
+process.on('uncaughtException', e => console.warn('[plugins] Uncaught exception:', errorMessage(e)));
@@ -0,0 +1,217 @@
+// Local automation API: JSON-RPC 2.0 over a Unix domain socket (Linux/macOS) or a named pipe
+// (Windows), one JSON message per line. A connection must first call
+// `auth` with the token stored in the user's data directory; the socket itself is only
+// reachable by the current user (0600 socket file, per-user pipe name).
+// Clients can `subscribe` to events, which arrive as notifications:
+//   {"jsonrpc":"2.0","method":"capture","params":{...}}
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // a single request line, e.g. `add` with a large text
+const AUTH_TIMEOUT = 10000; // ms a connection may stay open without authenticating
+const EVENTS = ['capture'];
+
+const ERRORS = {
+  PARSE: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL: -32603,
+  UNAUTHORIZED: -32001
+};
+
+// Errors thrown by method handlers with a JSON-RPC error code
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function getSocketPath(userDataDir) {
+  if (process.platform === 'win32') {
+    const id = crypto.createHash('sha256').update(userDataDir.toLowerCase()).digest('hex').slice(0, 16);
+    return `\\\\.\\pipe\\minimal-clipboard-${id}`;
+  }
+  return path.join(userDataDir, 'rpc.sock');
+}
+
+// The shared secret clients read to authenticate; created once, readable by the user only
+function loadOrCreateToken(tokenPath) {
+  try {
+    const existing = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (existing) return existing;
+  } catch (_) {}
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+  fs.writeFileSync(tokenPath, token, { mode: 0o600 });
+  return token;
+}
+
+function tokensMatch(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Remove a socket file left behind by a crashed instance; a live one is left alone
+function removeStaleSocket(socketPath) {
+  return new Promise(resolve => {
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => {
+      probe.destroy();
+      resolve(false);
+    });
+    probe.once('error', () => {
+      try { fs.unlinkSync(socketPath); } catch (_) {}
+      resolve(true);
+    });
+  });
+}
+
+class RpcServer {
+  // methods: { name: async (params) => result }
+  constructor({ socketPath, token, methods }) {
+    this.socketPath = socketPath;
+    this.token = token;
+    this.methods = methods;
+    this.server = null;
+    this.connections = new Set();
+  }
+
+  async start() {
+    if (process.platform !== 'win32' && fs.existsSync(this.socketPath)) {
+      if (!(await removeStaleSocket(this.socketPath))) {
+        throw new Error(`Another instance is already listening on ${this.socketPath}`);
+      }
+    }
+
+    this.server = net.createServer(socket => this.accept(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    if (process.platform !== 'win32') fs.chmodSync(this.socketPath, 0o600);
+    this.server.on('error', err => console.warn('[rpc] Server error:', err?.message || err));
+    console.log(`[rpc] Listening on ${this.socketPath}`);
+  }
+
+  stop() {
+    this.connections.forEach(conn => conn.socket.destroy());
+    this.connections.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      if (process.platform !== 'win32') {
+        try { fs.unlinkSync(this.socketPath); } catch (_) {}
+      }
+    }
+  }
+
+  // Send an event notification to every connection subscribed to it
+  broadcast(event, params) {
+    this.connections.forEach(conn => {
+      if (conn.authenticated && conn.events.has(event)) this.write(conn, { jsonrpc: '2.0', method: event, params });
+    });
+  }
+
+  accept(socket) {
+    const conn = { socket, authenticated: false, events: new Set(), buffer: '' };
+    this.connections.add(conn);
+    const authTimer = setTimeout(() => {
+      if (!conn.authenticated) socket.destroy();
+    }, AUTH_TIMEOUT);
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      conn.buffer += chunk;
+      if (conn.buffer.length > MAX_MESSAGE_SIZE) {
+        this.write(conn, { jsonrpc: '2.0', id: null, error: { code: ERRORS.INVALID_REQUEST, message: 'Message too large' } });
+        socket.destroy();
+        return;
+      }
+      let newline;
+      while ((newline = conn.buffer.indexOf('\n')) !== -1) {
+        const line = conn.buffer.slice(0, newline).trim();
+        conn.buffer = conn.buffer.slice(newline + 1);
+        if (line) this.handleLine(conn, line);
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      this.connections.delete(conn);
+    });
+  }
+
+  write(conn, message) {
+    if (!conn.socket.destroyed) conn.socket.write(JSON.stringify(message) + '\n');
+  }
+
+  async handleLine(conn, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (_) {
+      this.write(conn, { jsonrpc: '2.0', id: null, error: { code: ERRORS.PARSE, message: 'Parse error' } });
+      return;
+    }
+
+    const id = request && request.id !== undefined ? request.id : null;
+    const reply = (result, error) => {
+      if (request.id === undefined) return; // notification: no response
+      this.write(conn, error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result });
+    };
+
+    if (!request || typeof request.method !== 'string') {
+      this.write(conn, { jsonrpc: '2.0', id, error: { code: ERRORS.INVALID_REQUEST, message: 'Invalid request' } });
+      return;
+    }
+    const params = request.params && typeof request.params === 'object' ? request.params : {};
+
+    if (request.method === 'auth') {
+      conn.authenticated = tokensMatch(params.token, this.token);
+      if (conn.authenticated) reply({ ok: true });
+      else reply(null, { code: ERRORS.UNAUTHORIZED, message: 'Invalid token' });
+      return;
+    }
+    if (!conn.authenticated) {
+      reply(null, { code: ERRORS.UNAUTHORIZED, message: 'Call auth first' });
+      return;
+    }
+
+    if (request.method === 'subscribe' || request.method === 'unsubscribe') {
+      const events = Array.isArray(params.events) ? params.events : EVENTS;
+      const unknown = events.filter(e => !EVENTS.includes(e));
+      if (unknown.length) {
+        reply(null, { code: ERRORS.INVALID_PARAMS, message: `Unknown event: ${unknown.join(', ')}` });
+        return;
+      }
+      events.forEach(e => (request.method === 'subscribe' ? conn.events.add(e) : conn.events.delete(e)));
+      reply({ events: Array.from(conn.events) });
+      return;
+    }
+
+    const method = Object.prototype.hasOwnProperty.call(this.methods, request.method) && this.methods[request.method];
+    if (!method) {
+      reply(null, { code: ERRORS.METHOD_NOT_FOUND, message: `Unknown method: ${request.method}` });
+      return;
+    }
+    try {
+      const result = await method(params);
+      reply(result === undefined ? null : result);
+    } catch (e) {
+      const code = e instanceof RpcError ? e.code : ERRORS.INTERNAL;
+      if (code === ERRORS.INTERNAL) console.warn(`[rpc] ${request.method} failed:`, e?.message || e);
+      reply(null, { code, message: e?.message || String(e) });
+    }
+  }
+}
+
+module.exports = { RpcServer, RpcError, ERRORS, getSocketPath, loadOrCreateToken };
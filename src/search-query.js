@@ -0,0 +1,350 @@
+// Search query language and relevance ranking for history. Used by main.js against the
+// full persisted history (SQLite candidates, or decrypted rows when encrypted), so the
+// overlay, the automation API and the CLI all search the same way.
+//
+// A query is free text plus optional qualifiers:
+//   tag:name  tag:"two words"     items carrying a tag
+//   type:text|image|file          item type (repeat for either/or)
+//   after:2026-10-01              captured on or after that day (local time)
+//   before:2026-10-18             captured before that day
+//   len>500  len<=80  len=12      text length in characters (text items only)
+//   /pattern/flags                the free text as a regular expression
+// Free-text words must all match. Each one is tried as a substring, then as its letters in
+// order ("clpbrd" → "clipboard"), then as a word with one or two typos. "Quoted words" only
+// match as a substring. Results are ranked by match quality with a bonus for recent items.
+
+const vm = require('vm');
+
+const TYPES = { text: 'text', image: 'image', img: 'image', file: 'file', files: 'file' };
+const MAX_SCAN_LENGTH = 200000; // characters of an item's text that are searched
+const MAX_RANGES = 50; // highlighted ranges per item
+const MIN_FUZZY_LENGTH = 3; // shorter words only match as substrings
+const MIN_TYPO_LENGTH = 4; // shorter words are too ambiguous for typo matching
+const MAX_FUZZY_SPREAD = 3; // in-order letters must lie within term length × this
+const RECENCY_WEIGHT = 25; // bonus for an item captured just now, halving every half-life
+const RECENCY_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+const REGEX_TIMEOUT = 200; // ms for one regex search over every candidate
+
+const SCORE_SUBSTRING = 100;
+const SCORE_FUZZY = 60;
+const SCORE_TYPO = 40;
+const BONUS_WORD_START = 20;
+const BONUS_WORD_END = 10;
+const BONUS_TEXT_START = 10;
+
+const QUALIFIER_RE = /(^|\s)(tag|type|after|before):(?:"([^"]*)"|(\S*))/gi;
+const LENGTH_RE = /(^|\s)len(>=|<=|>|<|=)(\d+)(?=\s|$)/gi;
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+
+// Start of a local day, from YYYY-MM-DD; null when invalid
+function parseDay(value) {
+  const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return date.getMonth() === Number(m[2]) - 1 ? date.getTime() : null;
+}
+
+// Lowercase without changing length, so offsets into the result are offsets into `value`.
+// The few characters whose lowercase form is longer (İ → i̇) keep only its first character.
+function foldCase(value) {
+  const lower = value.toLowerCase();
+  if (lower.length === value.length) return lower;
+  let folded = '';
+  for (const ch of value) {
+    const first = String.fromCodePoint(ch.toLowerCase().codePointAt(0));
+    folded += first.length === ch.length ? first : ch;
+  }
+  return folded;
+}
+
+// Free-text words; "quoted phrases" stay whole and never match fuzzily
+function splitTerms(text) {
+  const terms = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const value = foldCase(m[1] !== undefined ? m[1] : m[2]);
+    if (value) terms.push({ text: value, exact: m[1] !== undefined });
+  }
+  return terms;
+}
+
+// Parse a search string. Problems (bad dates, unknown types, invalid regex) are collected in
+// `errors` and the offending part is ignored, so a half-typed query still searches.
+function parseQuery(search) {
+  const query = { text: '', terms: [], regex: null, tags: [], types: [], after: null, before: null, lengths: [], errors: [] };
+
+  let rest = String(search || '').replace(QUALIFIER_RE, (m, lead, key, quoted, bare) => {
+    const value = quoted !== undefined ? quoted : bare;
+    key = key.toLowerCase();
+    if (key === 'tag') {
+      if (value) query.tags.push(value);
+    } else if (key === 'type') {
+      const type = TYPES[value.toLowerCase()];
+      if (type) {
+        if (!query.types.includes(type)) query.types.push(type);
+      } else {
+        query.errors.push(`Unknown type "${value}" (use text, image or file)`);
+      }
+    } else {
+      const day = parseDay(value);
+      if (day === null) query.errors.push(`${key}: needs a date like 2026-10-01`);
+      else if (key === 'after') query.after = Math.max(query.after || 0, day);
+      else query.before = Math.min(query.before || Infinity, day);
+    }
+    return lead;
+  });
+
+  rest = rest.replace(LENGTH_RE, (m, lead, op, value) => {
+    query.lengths.push({ op, value: Number(value) });
+    return lead;
+  });
+
+  query.text = rest.replace(/\s{2,}/g, ' ').trim();
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(query.text);
+  if (regex) {
+    try {
+      query.regex = new RegExp(regex[1], regex[2].replace(/[gy]/g, '') + 'g');
+    } catch (e) {
+      query.errors.push(`Invalid regular expression: ${e.message}`);
+    }
+  } else {
+    query.terms = splitTerms(query.text);
+  }
+  return query;
+}
+
+// True when the query matches on text (as opposed to only filtering by qualifiers)
+function hasTextQuery(query) {
+  return !!(query.regex || query.terms.length);
+}
+
+// True when some free-text word may match by its letters in order or with typos, not only
+// as a substring
+function hasFuzzyTerms(query) {
+  return query.terms.some(term => !term.exact && term.text.length >= MIN_FUZZY_LENGTH);
+}
+
+function hasQualifiers(query) {
+  return !!(query.tags.length || query.types.length || query.after !== null || query.before !== null || query.lengths.length);
+}
+
+function compareLength(length, { op, value }) {
+  switch (op) {
+    case '>': return length > value;
+    case '<': return length < value;
+    case '>=': return length >= value;
+    case '<=': return length <= value;
+    default: return length === value;
+  }
+}
+
+// Type, date and length qualifiers against { type, timestamp, length } (tags are checked by the caller)
+function matchesQualifiers(entry, query) {
+  if (query.types.length && !query.types.includes(entry.type)) return false;
+  if (query.after !== null && !(entry.timestamp >= query.after)) return false;
+  if (query.before !== null && !(entry.timestamp < query.before)) return false;
+  if (query.lengths.length) {
+    if (entry.type !== 'text') return false;
+    if (!query.lengths.every(cond => compareLength(entry.length || 0, cond))) return false;
+  }
+  return true;
+}
+
+function isWordChar(ch) {
+  return !!ch && /[\p{L}\p{N}_]/u.test(ch);
+}
+
+function boundaryBonus(text, start, end) {
+  let bonus = 0;
+  if (!isWordChar(text[start - 1])) bonus += BONUS_WORD_START;
+  if (!isWordChar(text[end])) bonus += BONUS_WORD_END;
+  if (start === 0) bonus += BONUS_TEXT_START;
+  return bonus;
+}
+
+function matchSubstring(lower, term) {
+  const ranges = [];
+  let best = -1;
+  let index = lower.indexOf(term);
+  while (index !== -1 && ranges.length < MAX_RANGES) {
+    ranges.push([index, index + term.length]);
+    best = Math.max(best, boundaryBonus(lower, index, index + term.length));
+    index = lower.indexOf(term, index + term.length);
+  }
+  if (!ranges.length) return null;
+  return { score: SCORE_SUBSTRING + best + Math.min(ranges.length, 5), ranges };
+}
+
+// The term's letters in order within a short window; the tightest window wins
+function matchInOrder(lower, term) {
+  const window = term.length * MAX_FUZZY_SPREAD;
+  let best = null;
+  for (let start = lower.indexOf(term[0]); start !== -1; start = lower.indexOf(term[0], start + 1)) {
+    const slice = lower.slice(start, start + window); // keeps each attempt bounded on long texts
+    const positions = [0];
+    let pos = 0;
+    for (let i = 1; i < term.length && pos !== -1; i++) {
+      pos = slice.indexOf(term[i], pos + 1);
+      if (pos !== -1) positions.push(pos);
+    }
+    if (pos === -1) continue;
+
+    const span = positions[positions.length - 1] + 1;
+    const starts = positions.filter(p => !isWordChar(lower[start + p - 1])).length;
+    const score = SCORE_FUZZY * term.length / span + starts * 5;
+    if (!best || score > best.score) best = { score, positions: positions.map(p => start + p) };
+    if (span === term.length) break;
+  }
+  if (!best) return null;
+
+  const ranges = [];
+  best.positions.forEach(p => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === p) last[1] = p + 1;
+    else ranges.push([p, p + 1]);
+  });
+  return { score: Math.min(best.score, SCORE_SUBSTRING - 1), ranges };
+}
+
+// Optimal string alignment distance (a swap of neighbours counts once), or max + 1 past max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) value = Math.min(value, prev2[j - 2] + 1);
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// A whole word within one typo (two for long words) of the term
+function matchTypo(lower, term) {
+  const maxEdits = term.length >= 8 ? 2 : 1;
+  const ranges = [];
+  let best = maxEdits + 1;
+  for (const m of lower.matchAll(WORD_RE)) {
+    const distance = editDistance(term, m[0], maxEdits);
+    if (distance > maxEdits) continue;
+    if (distance < best) ranges.length = 0;
+    if (distance <= best && ranges.length < MAX_RANGES) ranges.push([m.index, m.index + m[0].length]);
+    best = Math.min(best, distance);
+  }
+  if (!ranges.length) return null;
+  return { score: SCORE_TYPO - 10 * best, ranges };
+}
+
+function matchTerm(lower, term) {
+  return matchSubstring(lower, term.text)
+    || (term.exact || term.text.length < MIN_FUZZY_LENGTH ? null : matchInOrder(lower, term.text))
+    || (term.exact || term.text.length < MIN_TYPO_LENGTH ? null : matchTypo(lower, term.text));
+}
+
+// Regex searches run in their own V8 context so that a pattern that backtracks
+// catastrophically, like /(a+)+$/, is interrupted after REGEX_TIMEOUT instead of
+// blocking the main process. Each text maps to its [start, end) ranges, or null.
+const REGEX_SCAN = new vm.Script(`texts.map(text => {
+  const ranges = [];
+  let matched = false;
+  let m;
+  regex.lastIndex = 0;
+  while (ranges.length < maxRanges && (m = regex.exec(text))) {
+    matched = true;
+    if (m[0] === '') {
+      regex.lastIndex++; // zero-width match: step past it
+      continue;
+    }
+    ranges.push([m.index, m.index + m[0].length]);
+  }
+  return matched ? ranges : null;
+})`);
+
+// Ranges per text for the query's regex, or null when it ran out of time (recorded in
+// query.errors; later calls with the same query give up straight away)
+function scanRegex(texts, query) {
+  if (query.regexTimedOut) return null;
+  try {
+    const context = vm.createContext({ texts, regex: query.regex, maxRanges: MAX_RANGES });
+    return REGEX_SCAN.runInContext(context, { timeout: REGEX_TIMEOUT });
+  } catch (e) {
+    if (e.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+    query.regexTimedOut = true;
+    query.errors.push('The regular expression took too long; try a simpler pattern');
+    return null;
+  }
+}
+
+// Sort and merge overlapping [start, end) ranges
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  return merged.slice(0, MAX_RANGES);
+}
+
+// Match text against the query's free text: { score, ranges } or null. Ranges are
+// [start, end) offsets into `text`. A query without free text matches everything.
+function matchText(text, query) {
+  const value = String(text || '').slice(0, MAX_SCAN_LENGTH);
+  if (query.regex) {
+    const ranges = (scanRegex([value], query) || [null])[0];
+    return ranges ? { score: 0, ranges } : null;
+  }
+  if (!query.terms.length) return { score: 0, ranges: [] };
+
+  const lower = foldCase(value);
+  let score = 0;
+  const ranges = [];
+  for (const term of query.terms) {
+    const match = matchTerm(lower, term);
+    if (!match) return null;
+    score += match.score;
+    ranges.push(...match.ranges);
+  }
+  return { score, ranges: mergeRanges(ranges) };
+}
+
+function recencyBonus(timestamp, now) {
+  const age = Math.max(0, now - (timestamp || 0));
+  return RECENCY_WEIGHT * Math.pow(0.5, age / RECENCY_HALF_LIFE);
+}
+
+// Rank entries ({ text, timestamp, ... }) by the query's free text, best first.
+// Returns [{ entry, score, ranges }] for the entries that match.
+function rankEntries(entries, query, now = Date.now()) {
+  if (query.regex) return rankRegexEntries(entries, query);
+  const results = [];
+  entries.forEach(entry => {
+    const match = matchText(entry.text, query);
+    if (match) results.push({ entry, score: match.score + recencyBonus(entry.timestamp, now), ranges: match.ranges });
+  });
+  return results.sort((a, b) => b.score - a.score || (b.entry.timestamp || 0) - (a.entry.timestamp || 0));
+}
+
+// A regex has no match quality: matching entries stay newest first
+function rankRegexEntries(entries, query) {
+  const matches = scanRegex(entries.map(entry => String(entry.text || '').slice(0, MAX_SCAN_LENGTH)), query);
+  if (!matches) return [];
+  const results = [];
+  entries.forEach((entry, i) => {
+    if (matches[i]) results.push({ entry, score: 0, ranges: matches[i] });
+  });
+  return results.sort((a, b) => (b.entry.timestamp || 0) - (a.entry.timestamp || 0));
+}
+
+module.exports = { parseQuery, hasTextQuery, hasFuzzyTerms, hasQualifiers, matchesQualifiers, matchText, rankEntries, MAX_SCAN_LENGTH };
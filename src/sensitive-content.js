@@ -0,0 +1,212 @@
+// Detection of secrets in captured text (tokens, keys, card numbers, passwords)
+// Each rule maps to an action chosen in settings: 'skip' (never record), 'mask' (record but
+// hide in the overlay until revealed), 'expire' (record and delete after a while) or 'off'.
+
+const ACTIONS = ['skip', 'mask', 'expire', 'off'];
+
+// High-entropy detection only looks at short single-token texts (a copied password or key);
+// longer texts such as base64 payloads or source code would trigger it constantly.
+const ENTROPY_MAX_LENGTH = 512;
+const ENTROPY_MIN_LENGTH = 16;
+const ENTROPY_THRESHOLD = 3.5; // bits per character
+const CLASS_SWITCH_RATIO = 0.3; // random strings change character class far more often than identifiers
+
+// Single-token snippets that are mixed-case and symbol-heavy without being secrets
+const LOOKS_LIKE_CODE = [
+  /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$/, // dotted identifiers: obj.method_v2
+  /^[\w$.]+\(.*\)[;,]?$/, // calls: getElementById("id")
+  /^(?:~|\.{1,2})?[\/\\][\w.\/\\-]+$/, // file paths
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i // UUIDs
+];
+
+// Identifiers, branch names and package versions (myVariableName123_Foo, feature/ABC-123-fix,
+// package@1.2.3-beta) split into words and numbers; random strings leave many 1-2 letter scraps
+const TOKEN_SEPARATORS = /[_\-./@+:]/;
+const WORD_PART = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g;
+
+const BUILTIN_RULES = [
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    defaultAction: 'mask',
+    test: text => /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/.test(text)
+  },
+  {
+    id: 'aws-key',
+    name: 'AWS access key',
+    defaultAction: 'skip',
+    test: text => /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA)[A-Z0-9]{16}\b/.test(text) ||
+      /aws_?secret_?access_?key\s*[=:]\s*["']?[A-Za-z0-9/+=]{40}\b/i.test(text)
+  },
+  {
+    id: 'pem',
+    name: 'PEM block (private key or certificate)',
+    defaultAction: 'skip',
+    test: text => /-----BEGIN [A-Z0-9 ]+-----[\s\S]+?-----END [A-Z0-9 ]+-----/.test(text)
+  },
+  {
+    id: 'credit-card',
+    name: 'Credit card number',
+    defaultAction: 'mask',
+    test: text => findCardNumbers(text).length > 0
+  },
+  {
+    id: 'high-entropy',
+    name: 'High-entropy string (password, API token)',
+    defaultAction: 'mask',
+    test: text => isHighEntropyToken(text)
+  }
+];
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Issuer (IIN) prefixes with the card lengths each issues; a bare Luhn check on any digit run
+// would flag about one in ten timestamps and IDs
+const CARD_ISSUERS = [
+  { name: 'Visa', prefix: /^4/, lengths: [13, 16, 19] },
+  { name: 'Mastercard', prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16] },
+  { name: 'American Express', prefix: /^3[47]/, lengths: [15] },
+  { name: 'Discover', prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 17, 18, 19] },
+  { name: 'JCB', prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+  { name: 'Diners Club', prefix: /^(?:30[0-5]|3095|36|3[89])/, lengths: [14, 15, 16, 17, 18, 19] },
+  { name: 'UnionPay', prefix: /^62/, lengths: [16, 17, 18, 19] },
+  { name: 'Maestro', prefix: /^(?:5018|5020|5038|5893|6304|6759|676[1-3])/, lengths: [13, 14, 15, 16, 17, 18, 19] }
+];
+
+function hasCardIssuer(digits) {
+  return CARD_ISSUERS.some(issuer => issuer.prefix.test(digits) && issuer.lengths.includes(digits.length));
+}
+
+// 13-19 digit sequences (optionally grouped with spaces or dashes) with a known issuer prefix
+// and length that pass the Luhn check
+function findCardNumbers(text) {
+  const matches = text.match(/\b\d(?:[ -]?\d){12,18}\b/g) || [];
+  return matches
+    .map(m => m.replace(/[ -]/g, ''))
+    .filter(digits => !/^(\d)\1+$/.test(digits) && hasCardIssuer(digits) && luhnValid(digits));
+}
+
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  counts.forEach(count => {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+}
+
+function charClass(ch) {
+  if (/[a-z]/.test(ch)) return 'l';
+  if (/[A-Z]/.test(ch)) return 'u';
+  if (/[0-9]/.test(ch)) return 'd';
+  return 's';
+}
+
+function classSwitchRatio(value) {
+  let switches = 0;
+  for (let i = 1; i < value.length; i++) {
+    if (charClass(value[i]) !== charClass(value[i - 1])) switches++;
+  }
+  return switches / (value.length - 1);
+}
+
+// Every piece between separators is camelCase/UPPER words and numbers, with at most one
+// word of one or two letters (my, v, ID)
+function isIdentifierShaped(token) {
+  return token.split(TOKEN_SEPARATORS).every(segment => {
+    const parts = segment.match(WORD_PART) || [];
+    if (parts.join('') !== segment) return false;
+    return parts.filter(part => /^[A-Za-z]{1,2}$/.test(part)).length <= 1;
+  });
+}
+
+function isHighEntropyToken(text) {
+  const token = text.trim();
+  if (token.length < ENTROPY_MIN_LENGTH || token.length > ENTROPY_MAX_LENGTH) return false;
+  if (/\s/.test(token) || /^[a-z][a-z0-9+.-]*:\/\//i.test(token)) return false; // words and URLs
+  if (LOOKS_LIKE_CODE.some(re => re.test(token)) || isIdentifierShaped(token)) return false;
+
+  // Random secrets mix character classes; plain identifiers and numbers don't
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(token)).length;
+  if (classes < 3) return false;
+
+  return shannonEntropy(token) >= ENTROPY_THRESHOLD && classSwitchRatio(token) >= CLASS_SWITCH_RATIO;
+}
+
+// Compiled user regexes, keyed by source so settings changes don't recompile every poll
+const customRuleCache = new Map();
+
+// Parse user rules. Each entry is { name?, pattern, action? }; a pattern written as
+// /source/flags keeps its flags, otherwise it is matched case-sensitively.
+function compileCustomRule(rule, index) {
+  if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) return null;
+  const key = `${rule.pattern}\u0000${rule.action || ''}`;
+  if (customRuleCache.has(key)) return customRuleCache.get(key);
+
+  let compiled = null;
+  try {
+    const literal = rule.pattern.trim().match(/^\/(.+)\/([a-z]*)$/);
+    const regex = literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(rule.pattern.trim());
+    compiled = {
+      id: `custom-${index}`,
+      name: rule.name || `Custom rule: ${rule.pattern}`,
+      action: ACTIONS.includes(rule.action) ? rule.action : 'mask',
+      test: text => regex.test(text)
+    };
+  } catch (e) {
+    console.warn('[sensitive] Ignoring invalid custom rule', rule.pattern, e?.message || e);
+  }
+  customRuleCache.set(key, compiled);
+  return compiled;
+}
+
+// Run every enabled rule against a text.
+// config: { rules: { [builtinId]: action }, customRules: [{ name, pattern, action }] }
+// Returns null when nothing matched, otherwise { action, rules } where action is the most
+// restrictive of the matching rules (skip > mask > expire).
+function detectSensitive(text, config = {}) {
+  if (typeof text !== 'string' || !text) return null;
+
+  const overrides = config.rules || {};
+  const rules = BUILTIN_RULES
+    .map(rule => Object.assign({}, rule, { action: ACTIONS.includes(overrides[rule.id]) ? overrides[rule.id] : rule.defaultAction }))
+    .concat((config.customRules || []).map(compileCustomRule).filter(Boolean));
+
+  const matched = [];
+  rules.forEach(rule => {
+    if (rule.action === 'off') return;
+    try {
+      if (rule.test(text)) matched.push(rule);
+    } catch (e) {
+      console.warn('[sensitive] Rule failed', rule.id, e?.message || e);
+    }
+  });
+  if (matched.length === 0) return null;
+
+  const action = ['skip', 'mask', 'expire'].find(a => matched.some(rule => rule.action === a));
+  return {
+    action,
+    expire: matched.some(rule => rule.action === 'expire'),
+    rules: matched.map(rule => ({ id: rule.id, name: rule.name, action: rule.action }))
+  };
+}
+
+// Rule list for the settings UI
+function getBuiltinRules() {
+  return BUILTIN_RULES.map(({ id, name, defaultAction }) => ({ id, name, defaultAction }));
+}
+
+module.exports = { detectSensitive, getBuiltinRules, ACTIONS };
@@ -0,0 +1,55 @@
+// Placeholder expansion for snippets
+// Supported placeholders: {date}, {time}, {clipboard} (current clipboard text), {input:Name}
+// (value asked for when pasting) and {cursor} (where the caret ends up after pasting).
+// Write {{ for a literal brace.
+
+const PLACEHOLDER_PATTERN = /\{\{|\{(date|time|clipboard|cursor)\}|\{input:([^{}]+)\}/g;
+
+// Names of the {input:Name} placeholders, in order of first appearance
+function getTemplateInputs(body) {
+  const names = [];
+  for (const match of String(body || '').matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[2] && match[2].trim();
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+// Expand a snippet body. context: { clipboard, inputs: { [name]: value }, now: Date }.
+// Returns { text, cursorFromEnd } where cursorFromEnd is the number of characters the caret
+// must move left after pasting to land on {cursor} (0 when there's no marker).
+function expandTemplate(body, context = {}) {
+  const now = context.now || new Date();
+  const inputs = context.inputs || {};
+  let text = '';
+  let cursorAt = -1;
+  let last = 0;
+
+  for (const match of String(body || '').matchAll(PLACEHOLDER_PATTERN)) {
+    text += body.slice(last, match.index);
+    last = match.index + match[0].length;
+
+    if (match[0] === '{{') {
+      text += '{';
+    } else if (match[2]) {
+      const value = inputs[match[2].trim()];
+      text += value == null ? '' : String(value);
+    } else if (match[1] === 'date') {
+      text += now.toLocaleDateString();
+    } else if (match[1] === 'time') {
+      text += now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    } else if (match[1] === 'clipboard') {
+      text += context.clipboard || '';
+    } else if (match[1] === 'cursor' && cursorAt < 0) {
+      cursorAt = text.length;
+    }
+  }
+  text += String(body || '').slice(last);
+
+  // Count code points (not UTF-16 units) so the caret moves over emoji correctly;
+  // \r\n is one caret step in every editor
+  const cursorFromEnd = cursorAt < 0 ? 0 : Array.from(text.slice(cursorAt).replace(/\r\n/g, '\n')).length;
+  return { text, cursorFromEnd };
+}
+
+module.exports = { getTemplateInputs, expandTemplate };
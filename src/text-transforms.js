@@ -0,0 +1,63 @@
+// Text transformations applied at paste/copy time (trim, case, JSON, encodings, escaping)
+// A request names one transform or a chain of them by id; they run left to right and a
+// failing step (e.g. invalid JSON) throws with a message that names the step.
+
+const MAX_CHAIN_LENGTH = 10;
+
+function toTitleCase(text) {
+  return text.toLowerCase().replace(/(^|[\s\-_/(["'])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+}
+
+function base64Decode(text) {
+  const compact = text.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact) || compact.length % 4 === 1) {
+    throw new Error('not valid base64');
+  }
+  const buffer = Buffer.from(compact.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  // Binary payloads would turn into replacement characters; refuse instead of pasting garbage
+  return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+}
+
+const TRANSFORMS = [
+  { id: 'trim', name: 'Trim whitespace', apply: text => text.trim() },
+  { id: 'upper', name: 'UPPERCASE', apply: text => text.toUpperCase() },
+  { id: 'lower', name: 'lowercase', apply: text => text.toLowerCase() },
+  { id: 'title', name: 'Title Case', apply: toTitleCase },
+  { id: 'strip-newlines', name: 'Join lines', apply: text => text.replace(/\s*\r?\n\s*/g, ' ').trim() },
+  { id: 'collapse-spaces', name: 'Collapse spaces', apply: text => text.replace(/[ \t]+/g, ' ') },
+  { id: 'json-pretty', name: 'Pretty-print JSON', apply: text => JSON.stringify(JSON.parse(text), null, 2) },
+  { id: 'json-minify', name: 'Minify JSON', apply: text => JSON.stringify(JSON.parse(text)) },
+  { id: 'url-encode', name: 'URL encode', apply: text => encodeURIComponent(text) },
+  { id: 'url-decode', name: 'URL decode', apply: text => decodeURIComponent(text.replace(/\+/g, ' ')) },
+  { id: 'base64-encode', name: 'Base64 encode', apply: text => Buffer.from(text, 'utf8').toString('base64') },
+  { id: 'base64-decode', name: 'Base64 decode', apply: base64Decode },
+  // POSIX shell: single-quote everything, closing and reopening the quotes around embedded ones
+  { id: 'shell-escape', name: 'Quote for shell', apply: text => `'${text.replace(/'/g, `'\\''`)}'` },
+  // SQL string literal contents: double the single quotes
+  { id: 'sql-escape', name: 'Escape for SQL string', apply: text => text.replace(/'/g, "''") }
+];
+
+const TRANSFORMS_BY_ID = new Map(TRANSFORMS.map(t => [t.id, t]));
+
+// Run a chain of transform ids over a text. Throws on unknown ids or a failing step.
+function applyTransforms(text, ids) {
+  if (!Array.isArray(ids)) throw new Error('Transforms must be a list');
+  if (ids.length > MAX_CHAIN_LENGTH) throw new Error(`At most ${MAX_CHAIN_LENGTH} transforms can be chained`);
+
+  return ids.reduce((value, id) => {
+    const transform = TRANSFORMS_BY_ID.get(id);
+    if (!transform) throw new Error(`Unknown transform: ${id}`);
+    try {
+      return transform.apply(value);
+    } catch (e) {
+      throw new Error(`${transform.name}: ${e?.message || e}`);
+    }
+  }, String(text));
+}
+
+// Transform list for the overlay menu
+function listTransforms() {
+  return TRANSFORMS.map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = { applyTransforms, listTransforms, MAX_CHAIN_LENGTH };
@@ -0,0 +1,80 @@
+// Utility process that owns the X11 CLIPBOARD selection for a copied file list, so it can be
+// offered as both `x-special/gnome-copied-files` and `text/uri-list` (Electron's clipboard
+// writes a single raw format). It runs out of process because Chromium reads the clipboard
+// synchronously on the main thread and would wait on itself. It exits once another client
+// takes the selection.
+//
+// Parent message: { formats: { [target]: string } }; reply: { ok: true } or { error }.
+
+const x11 = require('x11');
+
+const PROPERTY_MODE_REPLACE = 0;
+
+function serve(formats, reply) {
+  const client = x11.createClient((err, display) => {
+    if (err) return reply({ error: err.message });
+    const X = display.client;
+    const root = display.screen[0].root;
+    const win = X.AllocID();
+    X.CreateWindow(win, root, 0, 0, 1, 1, 0, 0, 0, 0, {});
+
+    const names = ['CLIPBOARD', 'TARGETS', 'ATOM', 'UTF8_STRING', ...Object.keys(formats)];
+    const atoms = {};
+    let pending = names.length;
+    names.forEach(name => X.InternAtom(false, name, (atomErr, atom) => {
+      if (atomErr) return reply({ error: atomErr.message });
+      atoms[name] = atom;
+      if (--pending === 0) claim();
+    }));
+
+    function claim() {
+      const targets = new Map(Object.keys(formats).map(name => [atoms[name], formats[name]]));
+
+      X.on('event', ev => {
+        if (ev.name === 'SelectionClear' && ev.selection === atoms.CLIPBOARD) {
+          X.terminate();
+          process.exit(0);
+        }
+        if (ev.name !== 'SelectionRequest' || ev.selection !== atoms.CLIPBOARD) return;
+
+        // Obsolete clients pass no property and expect the target to be used
+        const property = ev.property || ev.target;
+        let served = true;
+        if (ev.target === atoms.TARGETS) {
+          X.ChangeProperty(PROPERTY_MODE_REPLACE, ev.requestor, property, atoms.ATOM, 32, [atoms.TARGETS, ...targets.keys()]);
+        } else if (targets.has(ev.target)) {
+          X.ChangeProperty(PROPERTY_MODE_REPLACE, ev.requestor, property, atoms.UTF8_STRING, 8, Buffer.from(targets.get(ev.target), 'utf8'));
+        } else {
+          served = false;
+        }
+        X.SendEvent(ev.requestor, 0, 0, {
+          name: 'SelectionNotify',
+          time: ev.time,
+          requestor: ev.requestor,
+          selection: ev.selection,
+          target: ev.target,
+          property: served ? property : 0
+        });
+      });
+
+      X.SetSelectionOwner(win, atoms.CLIPBOARD, 0);
+      X.GetSelectionOwner(atoms.CLIPBOARD, (ownerErr, owner) => {
+        if (ownerErr) return reply({ error: ownerErr.message });
+        if (owner !== win) return reply({ error: 'Another client kept the clipboard' });
+        reply({ ok: true });
+      });
+    }
+  });
+
+  client.on('error', err => reply({ error: err.message }));
+}
+
+process.parentPort.once('message', ({ data }) => {
+  let replied = false;
+  serve(data.formats, result => {
+    if (replied) return;
+    replied = true;
+    process.parentPort.postMessage(result);
+    if (!result.ok) process.exit(1);
+  });
+});